@@ -0,0 +1,152 @@
+/*
+ * query.js
+ * Search query language shared by the browser (window.PromptQuery) and the server (require).
+ *
+ *   portrait "golden hour" tag:film gen:Sora done:false -blurry -"low quality"
+ *
+ * Plain words match the free text of a record, quoted phrases match literally, `field:value`
+ * filters one field (`#film` is short for `tag:film`) and a leading `-` excludes matches.
+ * All terms must match. Words of four or more letters also match with a typo or two.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PromptQuery = factory();
+    }
+})(this, function () {
+    // Filter names and their aliases
+    const FIELDS = {
+        tag: 'tag', tags: 'tag',
+        gen: 'gen', generator: 'gen',
+        done: 'done',
+        type: 'type'
+    };
+    const TRUE_VALUES = ['true', 'yes', '1', 'так'];
+    const FALSE_VALUES = ['false', 'no', '0', 'ні'];
+    // Shorter words must match exactly: a typo in "cat" is just another word
+    const FUZZY_MIN_LENGTH = 4;
+    const TERM_RE = /(-)?(?:([\p{L}_]+):)?(?:"([^"]*)(?:"|$)|(\S+))/gu;
+    const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+    // Parse a query string into terms: [{ field, value, exact, negate }]; field is null for free text
+    function parseQuery(text) {
+        const terms = [];
+        for (const match of String(text || '').matchAll(TERM_RE)) {
+            const negate = !!match[1];
+            const exact = match[3] !== undefined;
+            let value = (exact ? match[3] : match[4]).toLowerCase();
+            let field = match[2] ? FIELDS[match[2].toLowerCase()] || null : null;
+            if (match[2] && !field) {
+                // Unknown filter (or a URL): search for the text as typed
+                value = `${match[2].toLowerCase()}:${value}`;
+            } else if (!field && !exact && value.startsWith('#') && value.length > 1) {
+                field = 'tag';
+                value = value.slice(1);
+            }
+            if (field === 'tag') value = value.replace(/^#/, '');
+            if (field === 'done') {
+                if (TRUE_VALUES.includes(value)) value = true;
+                else if (FALSE_VALUES.includes(value)) value = false;
+                else continue;
+            }
+            if (value === '') continue;
+            terms.push({ field, value, exact, negate });
+        }
+        return terms;
+    }
+
+    // Optimal string alignment distance (Levenshtein plus swapped neighbours), capped at max + 1
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let prevPrev = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+                if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d = Math.min(d, prevPrev[j - 2] + 1);
+                }
+                row.push(d);
+                rowMin = Math.min(rowMin, d);
+            }
+            if (rowMin > max) return max + 1;
+            prevPrev = prev;
+            prev = row;
+        }
+        return prev[b.length];
+    }
+    // A query word matches a text word with up to one typo (two for long words); the text word
+    // may also just start with it, so "portrat" finds "portraits"
+    function fuzzyWordMatch(word, candidate) {
+        if (word.length < FUZZY_MIN_LENGTH) return false;
+        const max = word.length >= 8 ? 2 : 1;
+        return editDistance(word, candidate, max) <= max ||
+            (candidate.length > word.length && editDistance(word, candidate.slice(0, word.length), max) <= max);
+    }
+    function textMatches(term, text) {
+        const lower = String(text).toLowerCase();
+        if (lower.includes(term.value)) return true;
+        if (term.exact || term.negate) return false;
+        return (lower.match(WORD_RE) || []).some(word => fuzzyWordMatch(term.value, word));
+    }
+    function termMatches(term, doc) {
+        switch (term.field) {
+            case 'done':
+                return !!doc.done === term.value;
+            case 'tag':
+                return (doc.tags || []).some(tag => textMatches(term, tag));
+            case 'gen':
+                return !!doc.gen && textMatches(term, doc.gen);
+            case 'type':
+                return !!doc.type && textMatches(term, doc.type);
+            default:
+                return (doc.text || []).some(text => textMatches(term, text));
+        }
+    }
+    // Does a record match every term? `doc` describes the record as
+    // { text: [strings], tags: [strings], gen?, done?, type? }
+    function matchQuery(terms, doc) {
+        return terms.every(term => termMatches(term, doc) !== term.negate);
+    }
+
+    // Searchable view of a prompt entry. Template variables are also indexed without their
+    // defaults, so "{style}" finds "{style|cinematic}".
+    function entryDocument(entry) {
+        const params = Object.values(entry.params || {}).filter(value => typeof value === 'string');
+        const text = [entry.prompt, ...(entry.tags || []), ...params];
+        if (entry.isTemplate) text.push(entry.prompt.replace(/\{([^{}|]+)\|[^{}]*\}/g, '{$1}'));
+        return { text, tags: entry.tags || [], gen: entry.generator, done: entry.done };
+    }
+
+    // Character ranges [[start, end], ...] of `text` matched by the positive free-text terms
+    // (and by terms on `field`, if given), sorted and merged, for highlighting
+    function matchRanges(terms, text, field = null) {
+        const lower = String(text).toLowerCase();
+        const ranges = [];
+        terms.filter(term => !term.negate && term.field !== 'done' && (term.field === null || term.field === field))
+            .forEach(term => {
+                let found = false;
+                for (let i = lower.indexOf(term.value); i !== -1; i = lower.indexOf(term.value, i + term.value.length)) {
+                    ranges.push([i, i + term.value.length]);
+                    found = true;
+                }
+                if (found || term.exact) return;
+                for (const word of lower.matchAll(WORD_RE)) {
+                    if (fuzzyWordMatch(term.value, word[0])) ranges.push([word.index, word.index + word[0].length]);
+                }
+            });
+        ranges.sort((a, b) => a[0] - b[0]);
+        return ranges.reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+            else merged.push(range);
+            return merged;
+        }, []);
+    }
+
+    return { parseQuery, matchQuery, matchRanges, entryDocument };
+});
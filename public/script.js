@@ -2,16 +2,136 @@
  * script.js
  * Implements authentication (login/signup) and prompt storage per user.
  * Users can store prompts with images, categories and tags, filter by category or search.
+ * Accounts, categories and entries are kept on the Express server (see server.js);
+ * localStorage holds a cached copy that is shown while offline.
  * Additional features:
  *  - Dynamic categories with admin management (add, rename, delete)
  *  - Gallery-style cards with truncated prompt preview and actions (copy, edit, delete)
  *  - Modal view with full-size image, full prompt, tags and action buttons
  *  - Edit mode to update existing entries
+ *  - Story mode with several named stories per user (create, duplicate, delete)
+ *  - Materials library with personal and team-wide learning links
+ *  - Boards: hand-picked, drag-ordered sets of prompts across generators
+ *  - Animatic player: a story's scenes played back with their durations and titles
+ *  - Story video render on the server (MP4/WebM) with progress and download
+ *  - Storyboard print view and CSV shot list of a story
+ *  - Search with a query language (see query.js), run on the server and highlighted in cards
  */
 
 document.addEventListener('DOMContentLoaded', () => {
-    /* ---------------- Utility functions ---------------- */
-    // Load categories from storage; default if none exist. Categories exclude "All"
+    /* ---------------- API client ---------------- */
+    // Thin wrapper around fetch for the Express API. Resolves with parsed JSON,
+    // rejects with an Error carrying `status` (HTTP code) or `offline` (network failure).
+    // The session token from login is sent as a Bearer header.
+    // A FormData body is sent as multipart/form-data, anything else as JSON.
+    // With responseType 'blob' a successful response resolves with the raw body (downloads).
+    async function apiRequest(method, path, body, responseType = 'json') {
+        const options = { method, headers: {} };
+        const token = localStorage.getItem('authToken');
+        if (token) options.headers.Authorization = 'Bearer ' + token;
+        if (body instanceof FormData) {
+            options.body = body;
+        } else if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        let res;
+        try {
+            res = await fetch(path, options);
+        } catch (e) {
+            const err = new Error('Сервер недоступний');
+            err.offline = true;
+            throw err;
+        }
+        if (res.ok && responseType === 'blob') return res.blob();
+        let data = null;
+        try {
+            data = await res.json();
+        } catch (e) {
+            // Empty or non-JSON body
+        }
+        if (!res.ok) {
+            const err = new Error((data && data.error) || `HTTP ${res.status}`);
+            err.status = res.status;
+            // Token expired or revoked: back to the login page
+            if (res.status === 401 && token) handleSessionExpired();
+            throw err;
+        }
+        return data;
+    }
+    const api = {
+        signup: (username, password) => apiRequest('POST', '/api/signup', { username, password }),
+        login: (username, password) => apiRequest('POST', '/api/login', { username, password }),
+        logout: () => apiRequest('POST', '/api/logout'),
+        getMe: () => apiRequest('GET', '/api/me'),
+        uploadImage: (file) => {
+            const form = new FormData();
+            form.append('image', file);
+            return apiRequest('POST', '/api/images', form);
+        },
+        getCategories: () => apiRequest('GET', '/api/categories'),
+        addCategory: (name) => apiRequest('POST', '/api/categories', { name }),
+        renameCategory: (oldName, newName) => apiRequest('PUT', '/api/categories/' + encodeURIComponent(oldName), { newName }),
+        deleteCategory: (name) => apiRequest('DELETE', '/api/categories/' + encodeURIComponent(name)),
+        getCategorySchemas: () => apiRequest('GET', '/api/categories/schemas'),
+        setCategorySchema: (name, schema) => apiRequest('PUT', '/api/categories/' + encodeURIComponent(name) + '/schema', { schema }),
+        // Options: q, generator, sort, order, limit, cursor. With `limit` resolves to { entries, nextCursor }
+        getEntries: (options = {}) => {
+            const query = new URLSearchParams();
+            Object.entries(options).forEach(([key, value]) => {
+                if (value !== undefined && value !== null && value !== '') query.set(key, value);
+            });
+            return apiRequest('GET', '/api/entries' + (query.toString() ? '?' + query : ''));
+        },
+        // Resolves to { entries changed since `since` (all without it), ids of all entries, syncedAt }
+        getEntryChanges: (since) => apiRequest('GET', '/api/entries/changes' + (since ? '?since=' + encodeURIComponent(since) : '')),
+        createEntry: (entry) => apiRequest('POST', '/api/entries', entry),
+        updateEntry: (id, changes) => apiRequest('PUT', '/api/entries/' + encodeURIComponent(id), changes),
+        deleteEntry: (id) => apiRequest('DELETE', '/api/entries/' + encodeURIComponent(id)),
+        getRevisions: (id) => apiRequest('GET', '/api/entries/' + encodeURIComponent(id) + '/revisions'),
+        restoreRevision: (id, revisionId) => apiRequest('POST', '/api/entries/' + encodeURIComponent(id) + '/revisions/' + encodeURIComponent(revisionId) + '/restore'),
+        forkRevision: (id, revisionId) => apiRequest('POST', '/api/entries/' + encodeURIComponent(id) + '/revisions/' + encodeURIComponent(revisionId) + '/fork'),
+        importEntries: (entries, createCategories) => apiRequest('POST', '/api/entries/import', { entries, createCategories }),
+        getUsers: () => apiRequest('GET', '/api/admin/users'),
+        updateUser: (username, changes) => apiRequest('PUT', '/api/admin/users/' + encodeURIComponent(username), changes),
+        getBackups: () => apiRequest('GET', '/api/admin/backups'),
+        createBackup: () => apiRequest('POST', '/api/admin/backups'),
+        restoreBackup: (name) => apiRequest('POST', '/api/admin/backups/' + encodeURIComponent(name) + '/restore'),
+        getStories: () => apiRequest('GET', '/api/stories'),
+        createStory: (story) => apiRequest('POST', '/api/stories', story),
+        updateStory: (id, changes) => apiRequest('PUT', '/api/stories/' + encodeURIComponent(id), changes),
+        renderStory: (id, options) => apiRequest('POST', '/api/stories/' + encodeURIComponent(id) + '/render', options),
+        getRenders: () => apiRequest('GET', '/api/renders'),
+        getRender: (id) => apiRequest('GET', '/api/renders/' + encodeURIComponent(id)),
+        downloadRender: (id) => apiRequest('GET', '/api/renders/' + encodeURIComponent(id) + '/file', undefined, 'blob'),
+        duplicateStory: (id, name) => apiRequest('POST', '/api/stories/' + encodeURIComponent(id) + '/duplicate', { name }),
+        deleteStory: (id) => apiRequest('DELETE', '/api/stories/' + encodeURIComponent(id)),
+        getMaterials: () => apiRequest('GET', '/api/materials'),
+        createMaterial: (material) => apiRequest('POST', '/api/materials', material),
+        updateMaterial: (id, changes) => apiRequest('PUT', '/api/materials/' + encodeURIComponent(id), changes),
+        deleteMaterial: (id) => apiRequest('DELETE', '/api/materials/' + encodeURIComponent(id)),
+        getBoards: () => apiRequest('GET', '/api/boards'),
+        createBoard: (board) => apiRequest('POST', '/api/boards', board),
+        updateBoard: (id, changes) => apiRequest('PUT', '/api/boards/' + encodeURIComponent(id), changes),
+        deleteBoard: (id) => apiRequest('DELETE', '/api/boards/' + encodeURIComponent(id)),
+        addBoardEntry: (id, entryId) => apiRequest('POST', '/api/boards/' + encodeURIComponent(id) + '/entries', { entryId }),
+        removeBoardEntry: (id, entryId) => apiRequest('DELETE', '/api/boards/' + encodeURIComponent(id) + '/entries/' + encodeURIComponent(entryId)),
+        getSavedSearches: () => apiRequest('GET', '/api/searches'),
+        createSavedSearch: (search) => apiRequest('POST', '/api/searches', search),
+        updateSavedSearch: (id, changes) => apiRequest('PUT', '/api/searches/' + encodeURIComponent(id), changes),
+        deleteSavedSearch: (id) => apiRequest('DELETE', '/api/searches/' + encodeURIComponent(id)),
+        exportLibrary: () => apiRequest('GET', '/api/export', undefined, 'blob'),
+        importLibrary: (file, onConflict) => {
+            const form = new FormData();
+            form.append('archive', file);
+            if (onConflict) form.append('onConflict', onConflict);
+            return apiRequest('POST', '/api/import', form);
+        }
+    };
+
+    /* ---------------- Local cache ---------------- */
+    // Categories and entries are owned by the server; localStorage only keeps the
+    // last synced copy so the app can still show data when the server is unreachable.
     function loadCategories() {
         const data = localStorage.getItem('categories');
         if (data) {
@@ -27,24 +147,23 @@ document.addEventListener('DOMContentLoaded', () => {
     function saveCategories(cats) {
         localStorage.setItem('categories', JSON.stringify(cats));
     }
-    // User management
-    function getUsers() {
-        const data = localStorage.getItem('users');
-        if (!data) return [];
+    // Parameter schemas per category: { name: { syntax, fields } }
+    function loadCategorySchemas() {
         try {
-            return JSON.parse(data);
+            const parsed = JSON.parse(localStorage.getItem('categorySchemas') || '{}');
+            return parsed && typeof parsed === 'object' ? parsed : {};
         } catch (e) {
-            console.error('Failed to parse users:', e);
-            return [];
+            console.error('Failed to parse category schemas:', e);
+            return {};
         }
     }
-    function saveUsers(users) {
-        localStorage.setItem('users', JSON.stringify(users));
+    function saveCategorySchemas(schemas) {
+        localStorage.setItem('categorySchemas', JSON.stringify(schemas));
     }
-    // Load/save entries for current user
+    // Cached entries for current user
     function loadEntries() {
         if (!currentUser) return [];
-        const data = localStorage.getItem('promptData_' + currentUser);
+        const data = localStorage.getItem('entriesCache_' + currentUser);
         if (!data) return [];
         try {
             return JSON.parse(data);
@@ -53,15 +172,136 @@ document.addEventListener('DOMContentLoaded', () => {
             return [];
         }
     }
+    // Returns false if the cache could not be written
     function saveEntries(entries) {
+        if (!currentUser) return false;
+        try {
+            localStorage.setItem('entriesCache_' + currentUser, JSON.stringify(entries));
+            return true;
+        } catch (e) {
+            // Quota exceeded: the server still has the data, only offline access suffers
+            console.error('Failed to cache entries:', e);
+            return false;
+        }
+    }
+    // Bring the entry cache up to date. Only entries changed since the last sync are fetched
+    // and entries deleted elsewhere are dropped; without a usable cache everything is fetched.
+    async function syncEntries() {
+        const syncKey = 'entriesSyncedAt_' + currentUser;
+        const hasCache = localStorage.getItem('entriesCache_' + currentUser) !== null;
+        const since = hasCache ? localStorage.getItem(syncKey) : null;
+        const changes = await api.getEntryChanges(since);
+        const byId = new Map((since ? loadEntries() : []).map(e => [e.id, e]));
+        changes.entries.forEach(e => byId.set(e.id, e));
+        // In the order of the server, without entries it no longer has
+        const entries = changes.ids.map(id => byId.get(id)).filter(Boolean);
+        if (entries.length < changes.ids.length) {
+            // The cache lacks entries it should have: start over with a full sync
+            localStorage.removeItem(syncKey);
+            if (since) await syncEntries();
+            return;
+        }
+        if (saveEntries(entries)) {
+            localStorage.setItem(syncKey, changes.syncedAt);
+        } else {
+            localStorage.removeItem(syncKey);
+        }
+    }
+    // Replace or insert a single entry in the cache
+    function cacheEntry(entry) {
+        const entries = loadEntries();
+        const idx = entries.findIndex(e => e.id === entry.id);
+        if (idx !== -1) {
+            entries[idx] = entry;
+        } else {
+            entries.push(entry);
+        }
+        saveEntries(entries);
+        // Pages of the grid predate this change; the entry is filtered and placed locally from now on
+        grid.changed.add(entry.id);
+        refreshSavedSearchCounts();
+    }
+
+    // Cached revisions for current user, keyed by entry id (the last list fetched for each entry)
+    function loadRevisions(entryId) {
+        if (!currentUser) return null;
+        try {
+            const all = JSON.parse(localStorage.getItem('revisionsCache_' + currentUser) || '{}');
+            return Array.isArray(all[entryId]) ? all[entryId] : null;
+        } catch (e) {
+            console.error('Failed to parse revisions:', e);
+            return null;
+        }
+    }
+    function cacheRevisions(entryId, revisions) {
+        if (!currentUser) return;
+        try {
+            const all = JSON.parse(localStorage.getItem('revisionsCache_' + currentUser) || '{}');
+            all[entryId] = revisions;
+            localStorage.setItem('revisionsCache_' + currentUser, JSON.stringify(all));
+        } catch (e) {
+            console.error('Failed to cache revisions:', e);
+        }
+    }
+
+    // Cached stories for current user
+    function loadStories() {
+        if (!currentUser) return [];
+        const data = localStorage.getItem('storiesCache_' + currentUser);
+        if (!data) return [];
+        try {
+            const parsed = JSON.parse(data);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            console.error('Failed to parse story data:', e);
+            return [];
+        }
+    }
+    function saveStories(arr) {
+        if (!currentUser) return;
+        try {
+            localStorage.setItem('storiesCache_' + currentUser, JSON.stringify(arr));
+        } catch (e) {
+            console.error('Failed to cache stories:', e);
+        }
+    }
+
+    // Cached saved searches for current user
+    function loadSavedSearches() {
+        if (!currentUser) return [];
+        try {
+            const parsed = JSON.parse(localStorage.getItem('savedSearches_' + currentUser) || '[]');
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            console.error('Failed to parse saved searches:', e);
+            return [];
+        }
+    }
+    function saveSavedSearches(arr) {
+        if (!currentUser) return;
+        localStorage.setItem('savedSearches_' + currentUser, JSON.stringify(arr));
+    }
+
+    // Cached boards for current user
+    function loadBoards() {
+        if (!currentUser) return [];
+        try {
+            const parsed = JSON.parse(localStorage.getItem('boardsCache_' + currentUser) || '[]');
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            console.error('Failed to parse boards:', e);
+            return [];
+        }
+    }
+    function saveBoards(arr) {
         if (!currentUser) return;
-        localStorage.setItem('promptData_' + currentUser, JSON.stringify(entries));
+        localStorage.setItem('boardsCache_' + currentUser, JSON.stringify(arr));
     }
 
-    // Load/save materials for current user
+    // Cached materials (own and team) for current user
     function loadMaterials() {
         if (!currentUser) return [];
-        const data = localStorage.getItem('materialsData_' + currentUser);
+        const data = localStorage.getItem('materialsCache_' + currentUser);
         if (!data) return [];
         try {
             const parsed = JSON.parse(data);
@@ -74,7 +314,7 @@ document.addEventListener('DOMContentLoaded', () => {
     function saveMaterials(arr) {
         if (!currentUser) return;
         try {
-            localStorage.setItem('materialsData_' + currentUser, JSON.stringify(arr));
+            localStorage.setItem('materialsCache_' + currentUser, JSON.stringify(arr));
         } catch (e) {
             console.error('Failed to save materials:', e);
         }
@@ -99,17 +339,33 @@ document.addEventListener('DOMContentLoaded', () => {
     const toSignup = document.getElementById('toSignup');
     const toLogin = document.getElementById('toLogin');
     const logoutBtn = document.getElementById('logoutBtn');
+    const exportLibraryBtn = document.getElementById('exportLibraryBtn');
+    const importLibraryBtn = document.getElementById('importLibraryBtn');
+    const importLibraryInput = document.getElementById('importLibraryInput');
     const usernameDisplay = document.getElementById('usernameDisplay');
     // Sidebar and main content
     const categoryList = document.getElementById('categoryList');
+    const savedSearchList = document.getElementById('savedSearchList');
+    const saveSearchBtn = document.getElementById('saveSearchBtn');
     const entryForm = document.getElementById('entryForm');
     const generatorSelect = document.getElementById('generatorSelect');
+    const paramFields = document.getElementById('paramFields');
     const promptText = document.getElementById('promptText');
     const imageInput = document.getElementById('imageInput');
     const tagsInput = document.getElementById('tagsInput');
+    const templateCheckbox = document.getElementById('templateCheckbox');
+    const entryImagesEditor = document.getElementById('entryImagesEditor');
     const searchInput = document.getElementById('searchInput');
     const globalSearchInput = document.getElementById('globalSearchInput');
+    const sortSelect = document.getElementById('sortSelect');
+    const syncStatus = document.getElementById('syncStatus');
     const entriesContainer = document.getElementById('entriesContainer');
+    // Bulk import (CSV / Markdown)
+    const bulkImportFile = document.getElementById('bulkImportFile');
+    const bulkImportDefaultGenerator = document.getElementById('bulkImportDefaultGenerator');
+    const bulkImportMapping = document.getElementById('bulkImportMapping');
+    const bulkImportPreview = document.getElementById('bulkImportPreview');
+    const bulkImportBtn = document.getElementById('bulkImportBtn');
 
     // Story mode elements
     const storyModeBtn = document.getElementById('storyModeBtn');
@@ -119,6 +375,37 @@ document.addEventListener('DOMContentLoaded', () => {
     const themeColorInput = document.getElementById('themeColorInput');
     const addSceneBtn = document.getElementById('addSceneBtn');
     const saveStoryBtn = document.getElementById('saveStoryBtn');
+    const storyPromptsBtn = document.getElementById('storyPromptsBtn');
+    const playStoryBtn = document.getElementById('playStoryBtn');
+    const printStoryboardBtn = document.getElementById('printStoryboardBtn');
+    const exportShotListBtn = document.getElementById('exportShotListBtn');
+    const videoRenderFormat = document.getElementById('videoRenderFormat');
+    const videoRenderCaptions = document.getElementById('videoRenderCaptions');
+    const renderStoryBtn = document.getElementById('renderStoryBtn');
+    const videoRenderStatus = document.getElementById('videoRenderStatus');
+    const sceneSelectionBar = document.getElementById('sceneSelectionBar');
+    const sceneSelectionCount = document.getElementById('sceneSelectionCount');
+    const deleteSelectedScenesBtn = document.getElementById('deleteSelectedScenesBtn');
+    const clearSceneSelectionBtn = document.getElementById('clearSceneSelectionBtn');
+    const mainContent = document.getElementById('mainContent');
+
+    // Animatic player elements
+    const animaticModal = document.getElementById('animaticModal');
+    const animaticStage = document.getElementById('animaticStage');
+    const animaticClose = document.getElementById('animaticClose');
+    const animaticFrame = document.getElementById('animaticFrame');
+    const animaticTitle = document.getElementById('animaticTitle');
+    const animaticCounter = document.getElementById('animaticCounter');
+    const animaticPlayBtn = document.getElementById('animaticPlayBtn');
+    const animaticScrubber = document.getElementById('animaticScrubber');
+    const animaticTime = document.getElementById('animaticTime');
+    const animaticLoop = document.getElementById('animaticLoop');
+    const animaticFullscreenBtn = document.getElementById('animaticFullscreenBtn');
+    const storySelect = document.getElementById('storySelect');
+    const newStoryBtn = document.getElementById('newStoryBtn');
+    const duplicateStoryBtn = document.getElementById('duplicateStoryBtn');
+    const renameStoryBtn = document.getElementById('renameStoryBtn');
+    const deleteStoryBtn = document.getElementById('deleteStoryBtn');
     const sceneModal = document.getElementById('sceneModal');
     const sceneModalContent = document.getElementById('sceneModalContent');
     const sceneModalClose = document.getElementById('sceneModalClose');
@@ -128,6 +415,29 @@ document.addEventListener('DOMContentLoaded', () => {
     const createSceneBtn = document.getElementById('createSceneBtn');
     const newSceneDuration = document.getElementById('newSceneDuration');
     const newSceneAnimationPrompt = document.getElementById('newSceneAnimationPrompt');
+    const newSceneCameraMove = document.getElementById('newSceneCameraMove');
+    const newSceneTransition = document.getElementById('newSceneTransition');
+    const newSceneVoiceOver = document.getElementById('newSceneVoiceOver');
+    const newSceneAudioCue = document.getElementById('newSceneAudioCue');
+    const newSceneTiming = document.getElementById('newSceneTiming');
+    // Template fill-in dialog
+    const templateModal = document.getElementById('templateModal');
+    const templateModalClose = document.getElementById('templateModalClose');
+    const templateFields = document.getElementById('templateFields');
+    const templatePreview = document.getElementById('templatePreview');
+    const templateCopyBtn = document.getElementById('templateCopyBtn');
+    const templateSaveBtn = document.getElementById('templateSaveBtn');
+    const templateSceneBtn = document.getElementById('templateSceneBtn');
+
+    // Boards section elements
+    const boardsBtn = document.getElementById('boardsBtn');
+    const boardsSection = document.getElementById('boardsSection');
+    const boardSelect = document.getElementById('boardSelect');
+    const newBoardBtn = document.getElementById('newBoardBtn');
+    const renameBoardBtn = document.getElementById('renameBoardBtn');
+    const deleteBoardBtn = document.getElementById('deleteBoardBtn');
+    const boardDescription = document.getElementById('boardDescription');
+    const boardEntriesContainer = document.getElementById('boardEntries');
 
     // Materials section elements
     const materialsBtn = document.getElementById('materialsBtn');
@@ -138,35 +448,79 @@ document.addEventListener('DOMContentLoaded', () => {
     const materialType = document.getElementById('materialType');
     const materialUrl = document.getElementById('materialUrl');
     const materialTags = document.getElementById('materialTags');
+    const materialVisibility = document.getElementById('materialVisibility');
+    const cancelMaterialEditBtn = document.getElementById('cancelMaterialEditBtn');
     const timelineScale = document.getElementById('timelineScale');
+    const timelineRuntime = document.getElementById('timelineRuntime');
     // Admin panel
     const adminPanel = document.getElementById('adminPanel');
     const addCategoryForm = document.getElementById('addCategoryForm');
     const newCategoryInput = document.getElementById('newCategoryInput');
     const adminCategoryList = document.getElementById('adminCategoryList');
+    const adminUserList = document.getElementById('adminUserList');
+    const adminBackupList = document.getElementById('adminBackupList');
+    const createBackupBtn = document.getElementById('createBackupBtn');
     // Modal
     const modal = document.getElementById('imageModal');
     const modalImg = document.getElementById('modalImg');
     const modalDetails = document.getElementById('modalDetails');
     const modalClose = document.getElementById('modalClose');
+    const galleryPrev = document.getElementById('galleryPrev');
+    const galleryNext = document.getElementById('galleryNext');
+    const galleryStrip = document.getElementById('galleryStrip');
 
     /* ---------------- Application state ---------------- */
-    let currentUser = localStorage.getItem('currentUser') || null;
+    // A user is only considered logged in while a session token is stored
+    let currentUser = localStorage.getItem('authToken') ? localStorage.getItem('currentUser') : null;
+    // Role as last reported by the server; the server enforces it on every admin route
+    let currentRole = localStorage.getItem('currentRole') || 'user';
     let currentCategory = 'All';
+    // Search query as typed and its parsed terms (see query.js)
     let searchTerm = '';
+    let searchQuery = [];
     let editingEntryId = null;
-    let editingImageBase64 = null;
+    // Result images of the entry in the form ({ url, thumbnail }, in order) and the cover URL
+    let editingImages = [];
+    let editingCover = '';
+    let pendingUploads = 0;
     let categories = loadCategories();
+    let categorySchemas = loadCategorySchemas();
+    // Saved searches of the current user: [{ id, name, category?, query }]
+    let savedSearches = [];
+    let isSyncing = false;
 
     // Story mode state
     let isStoryMode = false;
+    let stories = [];
+    // Currently selected story (an element of `stories`)
     let storyData = null;
     let editingSceneIndex = null;
-    let editingSceneImageBase64 = null;
+    let editingSceneImage = null;
+    // Position a scene added from the scene modal is inserted at (null: the end)
+    let sceneInsertIndex = null;
+    // Scenes selected on the timeline (by id) and the anchor of Shift + click ranges
+    const selectedSceneIds = new Set();
+    let lastSelectedSceneId = null;
+    // Show the prompt grid below the timeline in story mode
+    let storyPromptsShown = false;
+
+    // Boards state: all boards of the user ({ id, name, description, entryIds }) and the open one
+    let isBoardsMode = false;
+    let boards = [];
+    let currentBoard = null;
 
     // Materials state
     let isMaterialsMode = false;
     let materialsData = [];
+    let editingMaterialId = null;
+
+    // Image gallery of the entry open in the modal: { images, index }
+    let modalGallery = null;
+
+    // Bulk import state: parsed file ({ kind: 'csv', headers, rows, mapping } or
+    // { kind: 'markdown', items }) and whether an admin agreed to create missing categories
+    let bulkImport = null;
+    let bulkImportCreateCategories = false;
 
     /* ---------------- View helpers ---------------- */
     function showLogin() {
@@ -188,25 +542,31 @@ document.addEventListener('DOMContentLoaded', () => {
         usernameDisplay.textContent = currentUser;
         // Reload categories in case admin updated them
         categories = loadCategories();
+        savedSearches = loadSavedSearches();
         renderCategorySelect();
         renderCategories();
         updateActiveCategory();
+        // Cached entries until refreshData() reloads the view from the server
+        grid = newGridState();
         renderEntries();
-        // Show admin panel only for admin user
-        if (currentUser === 'admin') {
-            adminPanel.style.display = 'block';
-            renderAdminCategories();
-        } else {
-            adminPanel.style.display = 'none';
-        }
-        // Initialize story data and view
-        storyData = loadStory();
+        // Admin lists are filled by refreshData() once the server confirms the role
+        adminPanel.style.display = currentRole === 'admin' ? 'block' : 'none';
+        // Initialize stories from cache
+        stories = loadStories();
         // Reset story mode
         isStoryMode = false;
+        updateStoryPromptsPanel();
         // Reset materials mode
         isMaterialsMode = false;
+        // Reset boards mode and load boards from cache
+        isBoardsMode = false;
+        boards = loadBoards();
+        if (boardsSection) boardsSection.style.display = 'none';
+        if (boardsBtn) boardsBtn.classList.remove('active');
+        selectBoard(localStorage.getItem('currentBoard_' + currentUser));
         // Load materials
         materialsData = loadMaterials();
+        resetMaterialForm();
         // Hide story section by default
         if (storySection) storySection.style.display = 'none';
         // Hide materials section by default
@@ -221,25 +581,192 @@ document.addEventListener('DOMContentLoaded', () => {
         if (storyModeBtn) storyModeBtn.classList.remove('active');
         // Reset materials button state
         if (materialsBtn) materialsBtn.classList.remove('active');
-        // Apply story theme color and scenario
-        if (storyData) {
-            if (themeColorInput) themeColorInput.value = storyData.color || '#5a5ce6';
-            if (storyScenario) storyScenario.value = storyData.scenario || '';
-            document.documentElement.style.setProperty('--accent-color', storyData.color || '#5a5ce6');
-        }
-        // Render story timeline for later
-        renderStory();
+        // Select the last opened story; also renders its timeline for later
+        selectStory(localStorage.getItem('currentStory_' + currentUser));
         // Render materials for later
         renderMaterials();
+        // Cached data is on screen; now fetch the fresh copy from the server
+        refreshData();
     }
 
-    /* ---------------- Authentication events ---------------- */
-    // Initial view
-    if (currentUser) {
-        showApp();
-    } else {
-        showLogin();
+    /* ---------------- Server sync ---------------- */
+    // state: '' (idle), 'loading', 'offline' or 'error'
+    function setSyncStatus(state, message = '') {
+        if (!syncStatus) return;
+        syncStatus.className = 'sync-status' + (state ? ' ' + state : '');
+        syncStatus.textContent = message;
+    }
+    // Entries saved by the localStorage-only version of the app are uploaded once. Each uploaded
+    // entry is dropped from the stored list right away, so a sync that fails halfway (offline)
+    // resumes where it stopped. Entries the server rejects are set aside under
+    // promptDataRejected_<user> instead of blocking every later sync.
+    async function migrateLegacyEntries() {
+        const key = 'promptData_' + currentUser;
+        const data = localStorage.getItem(key);
+        if (!data) return;
+        let legacy = [];
+        try {
+            legacy = JSON.parse(data);
+        } catch (e) {
+            console.error('Failed to parse legacy entries:', e);
+        }
+        const remaining = Array.isArray(legacy) ? [...legacy] : [];
+        const rejected = [];
+        while (remaining.length) {
+            const entry = remaining[0];
+            try {
+                await api.createEntry({
+                    generator: entry.generator,
+                    prompt: entry.prompt,
+                    image: entry.image,
+                    tags: entry.tags,
+                    done: !!entry.done
+                });
+            } catch (err) {
+                // Offline, signed out or a server error: keep the rest for the next sync
+                if (!err.status || err.status === 401 || err.status === 403 || err.status >= 500) throw err;
+                console.warn('Legacy entry rejected:', err.message, entry);
+                rejected.push({ ...entry, error: err.message });
+            }
+            remaining.shift();
+            localStorage.setItem(key, JSON.stringify(remaining));
+        }
+        localStorage.removeItem(key);
+        if (rejected.length) {
+            const rejectedKey = 'promptDataRejected_' + currentUser;
+            const earlier = JSON.parse(localStorage.getItem(rejectedKey) || '[]');
+            localStorage.setItem(rejectedKey, JSON.stringify([...earlier, ...rejected]));
+            alert(`Не вдалося перенести старих промптів: ${rejected.length}. Їх збережено в браузері під ключем ${rejectedKey}.`);
+        }
+    }
+    // Materials of the localStorage-only version are uploaded as personal materials
+    async function migrateLegacyMaterials() {
+        const key = 'materialsData_' + currentUser;
+        const data = localStorage.getItem(key);
+        if (!data) return;
+        let legacy = [];
+        try {
+            legacy = JSON.parse(data);
+        } catch (e) {
+            console.error('Failed to parse legacy materials:', e);
+        }
+        const remaining = Array.isArray(legacy) ? [...legacy] : [];
+        const rejected = [];
+        while (remaining.length) {
+            const mat = remaining[0];
+            try {
+                await api.createMaterial({
+                    title: mat.title,
+                    type: mat.type,
+                    url: mat.url,
+                    tags: mat.tags,
+                    visibility: 'personal'
+                });
+            } catch (err) {
+                // Offline, signed out or a server error: keep the rest for the next sync
+                if (!err.status || err.status === 401 || err.status === 403 || err.status >= 500) throw err;
+                console.warn('Legacy material rejected:', err.message, mat);
+                rejected.push({ ...mat, error: err.message });
+            }
+            remaining.shift();
+            localStorage.setItem(key, JSON.stringify(remaining));
+        }
+        localStorage.removeItem(key);
+        if (rejected.length) {
+            const rejectedKey = 'materialsDataRejected_' + currentUser;
+            const earlier = JSON.parse(localStorage.getItem(rejectedKey) || '[]');
+            localStorage.setItem(rejectedKey, JSON.stringify([...earlier, ...rejected]));
+            alert(`Не вдалося перенести старих матеріалів: ${rejected.length}. Їх збережено в браузері під ключем ${rejectedKey}.`);
+        }
+    }
+    // The single story of the localStorage-only version becomes a named server story
+    async function migrateLegacyStory() {
+        const key = 'storyData_' + currentUser;
+        const data = localStorage.getItem(key);
+        if (!data) return;
+        let legacy = null;
+        try {
+            legacy = JSON.parse(data);
+        } catch (e) {
+            console.error('Failed to parse legacy story data:', e);
+        }
+        if (legacy && (legacy.scenario || (Array.isArray(legacy.scenes) && legacy.scenes.length))) {
+            await api.createStory({
+                name: 'Моя історія',
+                scenario: legacy.scenario || '',
+                color: legacy.color,
+                scenes: Array.isArray(legacy.scenes) ? legacy.scenes : []
+            });
+        }
+        localStorage.removeItem(key);
+    }
+    async function refreshData() {
+        if (!currentUser) return;
+        isSyncing = true;
+        setSyncStatus('loading', 'Синхронізація…');
+        if (!loadEntries().length) renderEntries();
+        try {
+            await migrateLegacyEntries();
+            await migrateLegacyStory();
+            await migrateLegacyMaterials();
+            const [me, cats, schemas, , userStories, materials, searches, userBoards] = await Promise.all([
+                api.getMe(), api.getCategories(), api.getCategorySchemas(), syncEntries(), api.getStories(), api.getMaterials(),
+                api.getSavedSearches(), api.getBoards()
+            ]);
+            setRole(me.role);
+            categories = cats;
+            saveCategories(categories);
+            categorySchemas = schemas;
+            saveCategorySchemas(categorySchemas);
+            stories = userStories;
+            saveStories(stories);
+            materialsData = materials;
+            saveMaterials(materialsData);
+            savedSearches = searches;
+            saveSavedSearches(savedSearches);
+            boards = userBoards;
+            saveBoards(boards);
+            setSyncStatus('');
+        } catch (err) {
+            console.error('Sync failed:', err);
+            if (err.offline) {
+                setSyncStatus('offline', 'Офлайн: показано збережену копію');
+            } else {
+                setSyncStatus('error', 'Помилка синхронізації: ' + err.message);
+            }
+        } finally {
+            isSyncing = false;
+        }
+        renderCategorySelect();
+        renderCategories();
+        updateActiveCategory();
+        reloadEntries();
+        selectStory(storyData ? storyData.id : null);
+        selectBoard(currentBoard ? currentBoard.id : null);
+        renderMaterials();
+        updateAdminPanel();
+    }
+    // Run a server mutation with status feedback. Resolves to the response, or null on failure.
+    async function withSync(task, busyMessage = 'Збереження…') {
+        setSyncStatus('loading', busyMessage);
+        try {
+            const result = await task();
+            setSyncStatus('');
+            return result;
+        } catch (err) {
+            console.error('API request failed:', err);
+            if (err.offline) {
+                setSyncStatus('offline', 'Офлайн: зміни не збережено');
+                alert('Сервер недоступний. Зміни не збережено.');
+            } else {
+                setSyncStatus('error', err.message);
+                alert('Помилка: ' + err.message);
+            }
+            return null;
+        }
     }
+
+    /* ---------------- Authentication events ---------------- */
     // Navigate to signup/login
     toSignup && toSignup.addEventListener('click', (e) => {
         e.preventDefault();
@@ -251,24 +778,29 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     // Login
     if (loginForm) {
-        loginForm.addEventListener('submit', (e) => {
+        loginForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             const username = document.getElementById('loginUsername').value.trim();
             const password = document.getElementById('loginPassword').value;
-            const users = getUsers();
-            const found = users.find(u => u.username === username);
-            if (!found || found.password !== password) {
-                alert('Невірне імʼя користувача або пароль.');
+            let session;
+            try {
+                session = await api.login(username, password);
+            } catch (err) {
+                if (err.status === 401) {
+                    alert('Невірне імʼя користувача або пароль.');
+                } else if (err.status === 403) {
+                    alert('Обліковий запис заблоковано.');
+                } else {
+                    alert(err.offline ? 'Сервер недоступний. Спробуйте пізніше.' : 'Помилка входу: ' + err.message);
+                }
                 return;
             }
-            currentUser = username;
-            localStorage.setItem('currentUser', currentUser);
-            showApp();
+            startSession(session);
         });
     }
     // Signup
     if (signupForm) {
-        signupForm.addEventListener('submit', (e) => {
+        signupForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             const username = document.getElementById('signupUsername').value.trim();
             const password = document.getElementById('signupPassword').value;
@@ -281,48 +813,151 @@ document.addEventListener('DOMContentLoaded', () => {
                 alert('Паролі не співпадають.');
                 return;
             }
-            const users = getUsers();
-            if (users.some(u => u.username === username)) {
-                alert('Користувач з таким імʼям вже існує.');
+            let session;
+            try {
+                session = await api.signup(username, password);
+            } catch (err) {
+                if (err.status === 409) {
+                    alert('Користувач з таким імʼям вже існує.');
+                } else {
+                    alert(err.offline ? 'Сервер недоступний. Спробуйте пізніше.' : 'Помилка реєстрації: ' + err.message);
+                }
                 return;
             }
-            users.push({ username, password });
-            saveUsers(users);
-            currentUser = username;
-            localStorage.setItem('currentUser', currentUser);
-            showApp();
+            startSession(session);
         });
     }
+    function setRole(role) {
+        currentRole = role || 'user';
+        localStorage.setItem('currentRole', currentRole);
+    }
+    function startSession(session) {
+        localStorage.setItem('authToken', session.token);
+        currentUser = session.username;
+        localStorage.setItem('currentUser', currentUser);
+        setRole(session.role);
+        showApp();
+    }
+    function endSession() {
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('currentUser');
+        localStorage.removeItem('currentRole');
+        currentRole = 'user';
+        currentUser = null;
+        setSyncStatus('');
+        showLogin();
+    }
+    function handleSessionExpired() {
+        if (!currentUser) return;
+        endSession();
+        alert('Сесія завершилась. Будь ласка, увійдіть знову.');
+    }
     // Logout
     if (logoutBtn) {
-        logoutBtn.addEventListener('click', () => {
-            localStorage.removeItem('currentUser');
-            currentUser = null;
-            showLogin();
+        logoutBtn.addEventListener('click', async () => {
+            try {
+                await api.logout();
+            } catch (err) {
+                // The token is dropped locally either way
+                console.error('Logout failed:', err);
+            }
+            endSession();
         });
     }
 
-    /* ---------------- Category and select rendering ---------------- */
-    function renderCategorySelect() {
-        if (!generatorSelect) return;
-        const prev = generatorSelect.value;
-        generatorSelect.innerHTML = '';
-        categories.forEach(cat => {
-            const opt = document.createElement('option');
-            opt.value = cat;
-            opt.textContent = cat;
-            generatorSelect.appendChild(opt);
+    /* ---------------- Library export / import ---------------- */
+    // Export downloads one ZIP with the user's entries, stories, materials and images
+    if (exportLibraryBtn) {
+        exportLibraryBtn.addEventListener('click', async () => {
+            const blob = await withSync(() => api.exportLibrary(), 'Експорт…');
+            if (!blob) return;
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `prompt-library-${currentUser}-${new Date().toISOString().slice(0, 10)}.zip`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
         });
-        // Provide fallback 'Other' if not present
-        if (!categories.includes('Other')) {
-            const opt = document.createElement('option');
-            opt.value = 'Other';
-            opt.textContent = 'Other';
-            generatorSelect.appendChild(opt);
+    }
+    function describeImportReport(report) {
+        const lines = [
+            `Додано: ${report.created}`,
+            `Оновлено: ${report.updated}`,
+            `Без змін: ${report.unchanged}`
+        ];
+        if (report.createdCategories && report.createdCategories.length) {
+            lines.push('Створено категорії: ' + report.createdCategories.join(', '));
+        }
+        if (report.missingCategories.length) {
+            lines.push('Категорій немає на сервері (зверніться до адміністратора): ' + report.missingCategories.join(', '));
         }
-        if (prev && [...generatorSelect.options].some(o => o.value === prev)) {
-            generatorSelect.value = prev;
+        if (report.conflicts.length) {
+            lines.push(`Конфлікти: ${report.conflicts.length}`);
+            report.conflicts.slice(0, 10).forEach(c => lines.push(`  • ${c.title || c.id} (${c.reason})`));
+            if (report.conflicts.length > 10) lines.push('  …');
         }
+        return lines.join('\n');
+    }
+    // Import merges the archive by id; changed items are reported as conflicts first
+    // and the user decides whether to overwrite them or keep both versions
+    if (importLibraryBtn && importLibraryInput) {
+        importLibraryBtn.addEventListener('click', () => importLibraryInput.click());
+        importLibraryInput.addEventListener('change', async () => {
+            const file = importLibraryInput.files[0];
+            importLibraryInput.value = '';
+            if (!file) return;
+            let report = await withSync(() => api.importLibrary(file), 'Імпорт…');
+            if (!report) return;
+            const resolvable = report.conflicts.filter(c => c.reason !== 'invalid');
+            if (resolvable.length) {
+                let onConflict = null;
+                if (confirm(describeImportReport(report) + '\n\nПерезаписати змінені записи версіями з архіву?')) {
+                    onConflict = 'overwrite';
+                } else if (confirm('Імпортувати змінені записи як копії?')) {
+                    onConflict = 'copy';
+                }
+                const retry = onConflict && await withSync(() => api.importLibrary(file, onConflict), 'Імпорт…');
+                // Items added by the first pass count as unchanged in the second one
+                if (retry) {
+                    report = {
+                        ...retry,
+                        created: retry.created + report.created,
+                        unchanged: retry.unchanged - report.created,
+                        createdCategories: report.createdCategories
+                    };
+                }
+            }
+            alert('Імпорт завершено.\n' + describeImportReport(report));
+            refreshData();
+        });
+    }
+
+    /* ---------------- Category and select rendering ---------------- */
+    function renderCategorySelect() {
+        [generatorSelect, bulkImportDefaultGenerator].forEach(select => {
+            if (!select) return;
+            const prev = select.value;
+            select.innerHTML = '';
+            categories.forEach(cat => {
+                const opt = document.createElement('option');
+                opt.value = cat;
+                opt.textContent = cat;
+                select.appendChild(opt);
+            });
+            // Provide fallback 'Other' if not present
+            if (!categories.includes('Other')) {
+                const opt = document.createElement('option');
+                opt.value = 'Other';
+                opt.textContent = 'Other';
+                select.appendChild(opt);
+            }
+            if (prev && [...select.options].some(o => o.value === prev)) {
+                select.value = prev;
+            }
+        });
+        renderParamFields(collectParams());
+        renderBulkImportPreview();
     }
     function renderCategories() {
         categoryList.innerHTML = '';
@@ -336,7 +971,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (currentCategory !== 'All') {
                 currentCategory = 'All';
                 updateActiveCategory();
-                renderEntries();
+                reloadEntries();
             }
         });
         allLi.appendChild(allBtn);
@@ -351,7 +986,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (currentCategory !== cat) {
                     currentCategory = cat;
                     updateActiveCategory();
-                    renderEntries();
+                    reloadEntries();
                 }
             });
             li.appendChild(btn);
@@ -369,193 +1004,559 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     /* ---------------- Entries rendering ---------------- */
-    function renderEntries() {
-        const entries = loadEntries();
-        entriesContainer.innerHTML = '';
-        // Filter by category
-        let filtered = currentCategory === 'All' ? entries : entries.filter(e => e.generator === currentCategory);
-        // Apply search
-        if (searchTerm) {
-            const term = searchTerm.toLowerCase();
-            filtered = filtered.filter(entry => {
-                const inPrompt = entry.prompt.toLowerCase().includes(term);
-                const inTags = Array.isArray(entry.tags) && entry.tags.some(t => t.includes(term));
-                return inPrompt || inTags;
+    // The grid shows pages of the current view (category, search and sort) as the server returns
+    // them and loads the next page when the end of the grid scrolls into view. Entries edited
+    // since a page was fetched are filtered and placed locally; until the first page arrives, and
+    // while offline, the whole view comes from the cache. Cards are kept per entry id and only
+    // rebuilt when the entry changes.
+    const ENTRIES_PAGE_SIZE = 30;
+    const SORT_KEYS = {
+        created: ['createdAt', 'id'],
+        updated: ['updatedAt', 'id'],
+        generator: ['generator', 'createdAt', 'id'],
+        done: ['done', 'createdAt', 'id']
+    };
+    let grid = newGridState();
+    let gridTimer = null;
+    const entryCards = new Map();
+    const entriesSentinel = document.createElement('div');
+    entriesSentinel.className = 'entries-sentinel';
+    function newGridState() {
+        return { ids: [], cursor: null, complete: false, loading: false, fromServer: false, limit: ENTRIES_PAGE_SIZE, changed: new Set() };
+    }
+    // Current sort as { sort, order }, from the sort select ("created:desc")
+    function currentSort() {
+        const [sort, order] = (sortSelect && sortSelect.value ? sortSelect.value : 'created:desc').split(':');
+        return { sort, order };
+    }
+    // Same order as the server: sort fields compared in turn, booleans as 0/1
+    function compareEntries(a, b) {
+        const { sort, order } = currentSort();
+        const direction = order === 'asc' ? 1 : -1;
+        for (const key of SORT_KEYS[sort]) {
+            const x = typeof a[key] === 'boolean' ? Number(a[key]) : a[key] || '';
+            const y = typeof b[key] === 'boolean' ? Number(b[key]) : b[key] || '';
+            if (x !== y) return (x < y ? -1 : 1) * direction;
+        }
+        return 0;
+    }
+    // Does an entry belong to `category` ('All' for any) and match the parsed query `terms`?
+    function entryMatches(entry, category, terms) {
+        if (category !== 'All' && entry.generator !== category) return false;
+        return !terms.length || PromptQuery.matchQuery(terms, PromptQuery.entryDocument(entry));
+    }
+    function entryInView(entry) {
+        return entryMatches(entry, currentCategory, searchQuery);
+    }
+    // Start the view over: cached entries are shown at once, the server's first page after `delay`
+    function reloadEntries(delay = 0) {
+        grid = newGridState();
+        clearTimeout(gridTimer);
+        renderEntries();
+        if (currentUser) gridTimer = setTimeout(loadEntriesPage, delay);
+    }
+    async function loadEntriesPage() {
+        if (grid.loading || grid.complete) return;
+        const state = grid;
+        state.loading = true;
+        const { sort, order } = currentSort();
+        let page;
+        try {
+            page = await api.getEntries({
+                q: searchTerm,
+                generator: currentCategory === 'All' ? '' : currentCategory,
+                sort,
+                order,
+                limit: ENTRIES_PAGE_SIZE,
+                cursor: state.cursor
             });
+        } catch (err) {
+            // Offline: keep paging through the cache
+            console.error('Failed to load entries:', err);
+            state.loading = false;
+            return;
         }
-        if (!filtered.length) {
+        state.loading = false;
+        // The view changed while the page was loading
+        if (state !== grid) return;
+        state.ids.push(...page.entries.map(e => e.id));
+        state.cursor = page.nextCursor;
+        state.complete = !page.nextCursor;
+        state.fromServer = true;
+        // Entries the cache does not know yet (edited elsewhere) are added to it
+        const known = new Set(loadEntries().map(e => e.id));
+        const unknown = page.entries.filter(e => !known.has(e.id));
+        if (unknown.length) saveEntries([...loadEntries(), ...unknown]);
+        renderEntries();
+        // Re-observing reports the sentinel again if it is still in view, which loads the next page
+        entriesObserver.unobserve(entriesSentinel);
+        entriesObserver.observe(entriesSentinel);
+    }
+    const entriesObserver = new IntersectionObserver((records) => {
+        if (!records.some(record => record.isIntersecting)) return;
+        if (grid.fromServer) {
+            loadEntriesPage();
+        } else if (loadEntries().length > grid.limit) {
+            grid.limit += ENTRIES_PAGE_SIZE;
+            renderEntries();
+            entriesObserver.unobserve(entriesSentinel);
+            entriesObserver.observe(entriesSentinel);
+        }
+    }, { rootMargin: '400px' });
+    entriesObserver.observe(entriesSentinel);
+    // Entries of the current view in display order
+    function visibleEntries() {
+        const entries = loadEntries();
+        if (!grid.fromServer) return entries.filter(entryInView).sort(compareEntries).slice(0, grid.limit);
+        const byId = new Map(entries.map(e => [e.id, e]));
+        const loaded = grid.ids.filter(id => !grid.changed.has(id)).map(id => byId.get(id)).filter(Boolean);
+        const last = loaded[loaded.length - 1];
+        // Edited entries are shown if they still match and sort within the pages loaded so far
+        const changed = [...grid.changed].map(id => byId.get(id))
+            .filter(e => e && entryInView(e) && (grid.complete || (last && compareEntries(e, last) <= 0)));
+        return loaded.concat(changed).sort(compareEntries);
+    }
+    function renderEntries() {
+        const list = visibleEntries();
+        const ids = new Set(list.map(e => e.id));
+        entryCards.forEach((item, id) => {
+            if (!ids.has(id)) {
+                item.card.remove();
+                entryCards.delete(id);
+            }
+        });
+        entriesContainer.querySelectorAll('.entries-empty').forEach(el => el.remove());
+        if (!list.length) {
             const msg = document.createElement('p');
             msg.className = 'entries-empty';
-            msg.textContent = 'Поки що немає записів.';
+            msg.textContent = isSyncing && !loadEntries().length ? 'Завантаження…' : 'Поки що немає записів.';
             entriesContainer.appendChild(msg);
-            return;
         }
-        filtered.forEach(entry => {
-            const card = document.createElement('div');
-            card.className = 'entry-card';
-            // Apply completed styling if entry is marked done
-            if (entry.done) {
-                card.classList.add('done');
+        // Cards are rebuilt only when something they show has changed, then put in order
+        let previous = null;
+        list.forEach(entry => {
+            const signature = JSON.stringify([entry, searchTerm, categorySchemas[entry.generator] || null]);
+            let item = entryCards.get(entry.id);
+            if (!item || item.signature !== signature) {
+                const card = createEntryCard(entry);
+                if (item) item.card.replaceWith(card);
+                item = { card, signature };
+                entryCards.set(entry.id, item);
             }
-            // Done checkbox
-            const doneCheckbox = document.createElement('input');
-            doneCheckbox.type = 'checkbox';
-            doneCheckbox.className = 'done-checkbox';
-            doneCheckbox.checked = !!entry.done;
-            doneCheckbox.addEventListener('change', (e) => {
-                // Update entry done state and persist
-                const allEntries = loadEntries();
-                const idx = allEntries.findIndex(en => en.id === entry.id);
-                if (idx !== -1) {
-                    allEntries[idx].done = doneCheckbox.checked;
-                    saveEntries(allEntries);
-                }
-                renderEntries();
-            });
-            card.appendChild(doneCheckbox);
-            // Generator label
-            const label = document.createElement('span');
-            label.className = 'generator-label';
-            label.textContent = entry.generator;
-            card.appendChild(label);
-            // Image
-            const img = document.createElement('img');
-            img.src = entry.image;
-            img.alt = 'Збережене зображення';
-            img.addEventListener('click', () => openModal(entry));
-            card.appendChild(img);
-            // Prompt preview
-            const pDiv = document.createElement('div');
-            pDiv.className = 'prompt-text';
-            pDiv.textContent = entry.prompt;
-            card.appendChild(pDiv);
-            // Tags
-            if (Array.isArray(entry.tags) && entry.tags.length > 0) {
-                const tagsCont = document.createElement('div');
-                tagsCont.className = 'tags-container';
-                entry.tags.forEach(tag => {
-                    const span = document.createElement('span');
-                    span.className = 'tag';
-                    span.textContent = `#${tag}`;
-                    span.addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        searchInput.value = tag;
-                        searchTerm = tag;
-                        renderEntries();
-                    });
-                    tagsCont.appendChild(span);
+            const expected = previous ? previous.nextSibling : entriesContainer.firstChild;
+            if (expected !== item.card) entriesContainer.insertBefore(item.card, expected);
+            previous = item.card;
+        });
+        entriesContainer.appendChild(entriesSentinel);
+        // The active collection follows every change of the view
+        renderSavedSearches();
+    }
+    function createEntryCard(entry) {
+        const card = document.createElement('div');
+        card.className = 'entry-card';
+        // Prompts can be dragged onto the story timeline
+        card.draggable = true;
+        card.addEventListener('dragstart', (e) => {
+            e.dataTransfer.effectAllowed = 'copy';
+            e.dataTransfer.setData(ENTRY_DRAG_TYPE, entry.id);
+            e.dataTransfer.setData('text/plain', entry.prompt);
+        });
+        // Apply completed styling if entry is marked done
+        if (entry.done) {
+            card.classList.add('done');
+        }
+        if (entry.isTemplate) card.classList.add('template');
+        // Done checkbox
+        const doneCheckbox = document.createElement('input');
+        doneCheckbox.type = 'checkbox';
+        doneCheckbox.className = 'done-checkbox';
+        doneCheckbox.checked = !!entry.done;
+        doneCheckbox.addEventListener('change', async () => {
+            // Update entry done state on the server
+            const updated = await withSync(() => api.updateEntry(entry.id, { done: doneCheckbox.checked }));
+            if (updated) cacheEntry(updated);
+            renderEntries();
+        });
+        card.appendChild(doneCheckbox);
+        // Generator label
+        const label = document.createElement('span');
+        label.className = 'generator-label';
+        label.textContent = entry.generator;
+        card.appendChild(label);
+        if (entry.isTemplate) {
+            const badge = document.createElement('span');
+            badge.className = 'template-badge';
+            badge.textContent = 'Шаблон';
+            card.appendChild(badge);
+        }
+        // Image, or a placeholder card for text-only prompts
+        let preview;
+        if (entry.image) {
+            preview = document.createElement('img');
+            setThumbnail(preview, entry);
+            preview.alt = 'Збережене зображення';
+        } else {
+            preview = createImagePlaceholder(entry.generator, entry.prompt);
+        }
+        preview.addEventListener('click', () => openModal(entry));
+        card.appendChild(preview);
+        const imageCount = entryImages(entry).length;
+        if (imageCount > 1) {
+            const badge = document.createElement('span');
+            badge.className = 'image-count';
+            badge.title = 'Кількість зображень';
+            badge.textContent = `${imageCount} 🖼`;
+            card.appendChild(badge);
+        }
+        // Prompt preview
+        const pDiv = document.createElement('div');
+        pDiv.className = 'prompt-text';
+        setHighlightedText(pDiv, entry.prompt);
+        card.appendChild(pDiv);
+        const paramParts = formatParams(entry);
+        if (paramParts.length) {
+            const paramsDiv = document.createElement('div');
+            paramsDiv.className = 'params-summary';
+            paramsDiv.textContent = paramParts.join(' · ');
+            card.appendChild(paramsDiv);
+        }
+        // Template variables; clicking one finds other templates that use it
+        const variables = entry.isTemplate ? templateVariables(entry) : [];
+        if (variables.length) {
+            const varsCont = document.createElement('div');
+            varsCont.className = 'template-variables';
+            variables.forEach(variable => {
+                const chip = document.createElement('span');
+                chip.className = 'template-variable';
+                chip.textContent = `{${variable.name}}`;
+                chip.title = variable.fallback ? `За замовчуванням: ${variable.fallback}` : '';
+                chip.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    searchInput.value = chip.textContent;
+                    setSearchTerm(chip.textContent);
+                    reloadEntries();
                 });
-                card.appendChild(tagsCont);
-            }
-            // Action buttons (copy, edit)
-            const actions = document.createElement('div');
-            actions.className = 'card-actions';
-            // Copy
-            const copyBtn = document.createElement('button');
-            copyBtn.className = 'copy-btn';
-            copyBtn.title = 'Копіювати';
-            copyBtn.textContent = 'Копіювати';
-            copyBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                navigator.clipboard.writeText(entry.prompt).then(() => {
-                    alert('Промпт скопійовано в буфер обміну');
-                }).catch(err => console.error('Clipboard:', err));
+                varsCont.appendChild(chip);
             });
-            actions.appendChild(copyBtn);
-            // Edit
-            const editBtn = document.createElement('button');
-            editBtn.className = 'edit-btn';
-            editBtn.title = 'Редагувати';
-            editBtn.textContent = 'Редагувати';
-            editBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                startEdit(entry.id);
+            card.appendChild(varsCont);
+        }
+        // Tags
+        if (Array.isArray(entry.tags) && entry.tags.length > 0) {
+            const tagsCont = document.createElement('div');
+            tagsCont.className = 'tags-container';
+            entry.tags.forEach(tag => {
+                const span = document.createElement('span');
+                span.className = 'tag';
+                if (isSearchTag(tag)) span.classList.add('match');
+                span.textContent = `#${tag}`;
+                span.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    searchInput.value = tagQuery(tag);
+                    setSearchTerm(searchInput.value);
+                    reloadEntries();
+                });
+                tagsCont.appendChild(span);
             });
-            actions.appendChild(editBtn);
-            card.appendChild(actions);
-            // Delete button (absolute)
-            const delBtn = document.createElement('button');
-            delBtn.className = 'delete-btn';
-            delBtn.innerHTML = '&times;';
-            delBtn.title = 'Видалити';
-            delBtn.addEventListener('click', (e) => {
+            card.appendChild(tagsCont);
+        }
+        // Action buttons (copy, edit)
+        const actions = document.createElement('div');
+        actions.className = 'card-actions';
+        // Copy
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'copy-btn';
+        copyBtn.title = 'Копіювати';
+        copyBtn.textContent = 'Копіювати';
+        copyBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            navigator.clipboard.writeText(buildFullPrompt(entry)).then(() => {
+                alert('Промпт скопійовано в буфер обміну');
+            }).catch(err => console.error('Clipboard:', err));
+        });
+        actions.appendChild(copyBtn);
+        // Fill in the template
+        if (entry.isTemplate) {
+            const useBtn = document.createElement('button');
+            useBtn.className = 'use-template-btn';
+            useBtn.title = 'Заповнити змінні шаблону';
+            useBtn.textContent = 'Використати';
+            useBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                deleteEntry(entry.id);
+                openTemplateModal(entry);
             });
-            card.appendChild(delBtn);
-            entriesContainer.appendChild(card);
+            actions.appendChild(useBtn);
+        }
+        // Edit
+        const editBtn = document.createElement('button');
+        editBtn.className = 'edit-btn';
+        editBtn.title = 'Редагувати';
+        editBtn.textContent = 'Редагувати';
+        editBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            startEdit(entry.id);
+        });
+        actions.appendChild(editBtn);
+        card.appendChild(actions);
+        // Delete button (absolute)
+        const delBtn = document.createElement('button');
+        delBtn.className = 'delete-btn';
+        delBtn.innerHTML = '&times;';
+        delBtn.title = 'Видалити';
+        delBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteEntry(entry.id);
         });
+        card.appendChild(delBtn);
+        return card;
     }
 
     /* ---------------- Entry form: add / edit ---------------- */
-    if (entryForm) {
-        entryForm.addEventListener('submit', (e) => {
-            e.preventDefault();
-            const generator = generatorSelect.value;
-            const promptVal = promptText.value.trim();
-            const file = imageInput.files[0];
+    // Upload an image file; resolves to { url, thumbnail } on the server, or null on failure
+    function uploadImage(file) {
+        return withSync(() => api.uploadImage(file), 'Завантаження зображення…');
+    }
+    // Grid cards show the thumbnail; if it is not generated yet, fall back to the full image
+    function setThumbnail(img, item) {
+        img.loading = 'lazy';
+        img.src = item.thumbnail || item.image;
+        if (item.thumbnail) {
+            img.addEventListener('error', () => {
+                if (img.src !== new URL(item.image, location.href).href) img.src = item.image;
+            }, { once: true });
+        }
+    }
+    // Result images of an entry; entries cached before multi-image support only have `image`
+    function entryImages(entry) {
+        if (Array.isArray(entry.images)) return entry.images;
+        return entry.image ? [{ url: entry.image, thumbnail: entry.thumbnail }] : [];
+    }
+    // Stand-in for a missing image: label (usually the generator) over an excerpt of the prompt.
+    // The background hue is derived from the label so each generator keeps its own colour.
+    function createImagePlaceholder(label, text) {
+        const div = document.createElement('div');
+        div.className = 'image-placeholder';
+        const hue = [...String(label)].reduce((h, ch) => (h * 31 + ch.codePointAt(0)) % 360, 0);
+        div.style.setProperty('--placeholder-color', `hsl(${hue}, 45%, 45%)`);
+        const labelEl = document.createElement('span');
+        labelEl.className = 'placeholder-label';
+        labelEl.textContent = label;
+        div.appendChild(labelEl);
+        const textEl = document.createElement('p');
+        textEl.className = 'placeholder-text';
+        textEl.textContent = text.length > 200 ? text.slice(0, 200) + '…' : text;
+        div.appendChild(textEl);
+        return div;
+    }
+    if (entryForm) {
+        entryForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const generator = generatorSelect.value;
+            const promptVal = promptText.value.trim();
             if (!promptVal) {
                 alert('Будь ласка, заповніть поле "Промпт".');
                 return;
             }
+            if (pendingUploads) {
+                alert('Зачекайте, поки завантажаться зображення.');
+                return;
+            }
             const tags = parseTags(tagsInput.value);
-            let entries = loadEntries();
-            if (editingEntryId) {
-                // Update existing entry
-                const idx = entries.findIndex(e => e.id === editingEntryId);
-                if (idx !== -1) {
-                    const entry = entries[idx];
-                    entry.generator = generator;
-                    entry.prompt = promptVal;
-                    entry.tags = tags;
-                    const handleSave = (imageData) => {
-                        entry.image = imageData;
-                        saveEntries(entries);
-                        resetForm();
-                        renderEntries();
-                        currentCategory = generator;
-                        updateActiveCategory();
-                    };
-                    if (file) {
-                        const reader = new FileReader();
-                        reader.onload = (ev) => handleSave(ev.target.result);
-                        reader.readAsDataURL(file);
-                    } else {
-                        handleSave(editingImageBase64);
-                    }
+            const submitBtn = entryForm.querySelector('button[type="submit"]');
+            if (submitBtn) submitBtn.disabled = true;
+            const changes = {
+                generator,
+                prompt: promptVal,
+                tags,
+                params: collectParams(),
+                images: editingImages.map(img => img.url),
+                cover: editingCover,
+                isTemplate: !!(templateCheckbox && templateCheckbox.checked)
+            };
+            const saved = editingEntryId
+                ? await withSync(() => api.updateEntry(editingEntryId, changes))
+                : await withSync(() => api.createEntry({ ...changes, done: false }));
+            if (submitBtn) submitBtn.disabled = false;
+            if (!saved) return;
+            cacheEntry(saved);
+            resetForm();
+            currentCategory = generator;
+            updateActiveCategory();
+            reloadEntries();
+        });
+    }
+    /* ---------------- Generator parameters ---------------- */
+    // Inputs for the parameters of the selected generator, prefilled from `values`
+    function renderParamFields(values) {
+        if (!paramFields) return;
+        paramFields.innerHTML = '';
+        const schema = categorySchemas[generatorSelect.value];
+        if (!schema || !schema.fields.length) return;
+        // A template may put a variable such as {seed} into any field, so every field takes text
+        const template = !!(templateCheckbox && templateCheckbox.checked);
+        schema.fields.forEach(field => {
+            const label = document.createElement('label');
+            label.textContent = field.label;
+            let input;
+            if (template && (field.type === 'select' || field.type === 'number')) {
+                input = document.createElement('input');
+                input.type = 'text';
+                if (field.type === 'select') {
+                    const list = document.createElement('datalist');
+                    list.id = 'paramOptions_' + field.key;
+                    field.options.forEach(option => {
+                        const opt = document.createElement('option');
+                        opt.value = option;
+                        list.appendChild(opt);
+                    });
+                    label.appendChild(list);
+                    input.setAttribute('list', list.id);
                 }
+                input.title = 'Значення або змінна шаблону, напр. {' + field.key + '}';
+            } else if (field.type === 'select') {
+                input = document.createElement('select');
+                ['', ...field.options].forEach(option => {
+                    const opt = document.createElement('option');
+                    opt.value = option;
+                    opt.textContent = option || '—';
+                    input.appendChild(opt);
+                });
+            } else if (field.type === 'textarea') {
+                input = document.createElement('textarea');
+                input.rows = 2;
             } else {
-                // Add new entry
-                if (!file) {
-                    alert('Будь ласка, оберіть зображення.');
-                    return;
-                }
-                const reader = new FileReader();
-                reader.onload = (ev) => {
-                    const newEntry = {
-                        id: Date.now().toString(),
-                        generator,
-                        prompt: promptVal,
-                        image: ev.target.result,
-                        tags,
-                        done: false
-                    };
-                    entries.push(newEntry);
-                    saveEntries(entries);
-                    resetForm();
-                    currentCategory = generator;
-                    updateActiveCategory();
-                    renderEntries();
-                };
-                reader.readAsDataURL(file);
+                input = document.createElement('input');
+                input.type = field.type === 'number' ? 'number' : 'text';
+                if (field.min !== undefined) input.min = field.min;
+                if (field.max !== undefined) input.max = field.max;
+            }
+            if (field.placeholder) input.placeholder = field.placeholder;
+            input.dataset.param = field.key;
+            input.value = values[field.key] !== undefined ? values[field.key] : '';
+            label.appendChild(input);
+            paramFields.appendChild(label);
+        });
+    }
+    // Non-empty parameter values from the entry form
+    function collectParams() {
+        const params = {};
+        if (!paramFields) return params;
+        paramFields.querySelectorAll('[data-param]').forEach(input => {
+            const value = input.value.trim();
+            if (value) params[input.dataset.param] = value;
+        });
+        return params;
+    }
+    // Parameters of an entry in the generator's syntax: ['--ar 16:9', ...] or ['Seed: 42', ...]
+    function formatParams(entry) {
+        const schema = categorySchemas[entry.generator];
+        const params = entry.params || {};
+        if (!schema) return [];
+        return schema.fields
+            .filter(field => params[field.key] !== undefined && params[field.key] !== '')
+            .map(field => (schema.syntax === 'flags' ? `${field.flag} ${params[field.key]}` : `${field.flag}: ${params[field.key]}`));
+    }
+    // Prompt as it is pasted into the generator: flags go on the same line, labelled values below
+    function buildFullPrompt(entry) {
+        const parts = formatParams(entry);
+        if (!parts.length) return entry.prompt;
+        const schema = categorySchemas[entry.generator];
+        return schema.syntax === 'flags'
+            ? [entry.prompt.trim(), ...parts].join(' ')
+            : entry.prompt.trim() + '\n\n' + parts.join('\n');
+    }
+    if (generatorSelect) {
+        // Values of parameters the new generator shares with the old one are kept
+        generatorSelect.addEventListener('change', () => renderParamFields(collectParams()));
+    }
+    if (templateCheckbox) {
+        templateCheckbox.addEventListener('change', () => renderParamFields(collectParams()));
+    }
+    // Labels of the parameters of a filled template whose values the generator's schema does not
+    // accept (variables in number and select fields are only checked once they are filled in)
+    function invalidParams(entry) {
+        const schema = categorySchemas[entry.generator];
+        const params = entry.params || {};
+        if (!schema) return [];
+        return schema.fields.filter(field => {
+            const raw = params[field.key];
+            if (raw === undefined || raw === '') return false;
+            if (field.type === 'number') {
+                const value = Number(raw);
+                return !Number.isFinite(value) ||
+                    (field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max);
+            }
+            return field.type === 'select' && !field.options.includes(String(raw));
+        }).map(field => field.label);
+    }
+    // Picked files are uploaded at once, so new images can be reordered before the entry is saved
+    if (imageInput) {
+        imageInput.addEventListener('change', async () => {
+            const files = [...imageInput.files];
+            imageInput.value = '';
+            pendingUploads++;
+            for (const file of files) {
+                const uploaded = await uploadImage(file);
+                if (!uploaded) break;
+                if (!editingImages.some(img => img.url === uploaded.url)) editingImages.push(uploaded);
+            }
+            pendingUploads--;
+            if (!editingImages.some(img => img.url === editingCover)) {
+                editingCover = editingImages.length ? editingImages[0].url : '';
             }
+            renderImagesEditor();
+        });
+    }
+    // Images of the entry in the form: move left/right, choose the cover, remove
+    function renderImagesEditor() {
+        if (!entryImagesEditor) return;
+        entryImagesEditor.innerHTML = '';
+        editingImages.forEach((image, idx) => {
+            const item = document.createElement('div');
+            item.className = 'image-editor-item';
+            if (image.url === editingCover) item.classList.add('cover');
+            const img = document.createElement('img');
+            setThumbnail(img, { image: image.url, thumbnail: image.thumbnail });
+            img.alt = `Зображення ${idx + 1}`;
+            item.appendChild(img);
+            const controls = document.createElement('div');
+            controls.className = 'image-editor-controls';
+            const addControl = (text, title, disabled, onClick) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.textContent = text;
+                btn.title = title;
+                btn.disabled = disabled;
+                btn.addEventListener('click', () => {
+                    onClick();
+                    renderImagesEditor();
+                });
+                controls.appendChild(btn);
+            };
+            const move = (offset) => {
+                const [moved] = editingImages.splice(idx, 1);
+                editingImages.splice(idx + offset, 0, moved);
+            };
+            addControl('◀', 'Перемістити ліворуч', idx === 0, () => move(-1));
+            addControl('★', 'Зробити обкладинкою', image.url === editingCover, () => {
+                editingCover = image.url;
+            });
+            addControl('▶', 'Перемістити праворуч', idx === editingImages.length - 1, () => move(1));
+            addControl('✕', 'Прибрати зображення', false, () => {
+                editingImages.splice(idx, 1);
+                if (image.url === editingCover) editingCover = editingImages.length ? editingImages[0].url : '';
+            });
+            item.appendChild(controls);
+            entryImagesEditor.appendChild(item);
         });
     }
     function resetForm() {
         entryForm.reset();
+        renderParamFields({});
         tagsInput.value = '';
         editingEntryId = null;
-        editingImageBase64 = null;
+        editingImages = [];
+        editingCover = '';
+        renderImagesEditor();
         // Reset heading and button
         const heading = document.querySelector('#add-entry h2');
         if (heading) heading.textContent = 'Додати новий промпт';
@@ -569,69 +1570,774 @@ document.addEventListener('DOMContentLoaded', () => {
         const entry = entries.find(e => e.id === id);
         if (!entry) return;
         editingEntryId = id;
-        editingImageBase64 = entry.image;
         generatorSelect.value = entry.generator;
+        if (templateCheckbox) templateCheckbox.checked = !!entry.isTemplate;
+        renderParamFields(entry.params || {});
         promptText.value = entry.prompt;
         tagsInput.value = entry.tags ? entry.tags.join(', ') : '';
+        editingImages = entryImages(entry).map(img => ({ ...img }));
+        editingCover = entry.image || '';
+        renderImagesEditor();
         const heading = document.querySelector('#add-entry h2');
         if (heading) heading.textContent = 'Редагувати промпт';
         const submitBtn = entryForm.querySelector('button[type="submit"]');
         if (submitBtn) submitBtn.textContent = 'Зберегти';
     }
 
+    /* ---------------- Prompt templates ---------------- */
+    // `{name}` or `{name|default}`; names are letters, digits, spaces, `_` and `-`
+    const TEMPLATE_VARIABLE_RE = /\{([\p{L}\p{N}_ -]+?)(?:\|([^{}]*))?\}/gu;
+    // Texts of an entry that may contain variables: the prompt and text parameters
+    function templateTexts(entry) {
+        const params = entry.params || {};
+        return [entry.prompt, ...Object.values(params).filter(value => typeof value === 'string')];
+    }
+    // Variables of a template in order of appearance: [{ name, fallback }]; the first default wins
+    function templateVariables(entry) {
+        const variables = new Map();
+        templateTexts(entry).forEach(text => {
+            for (const match of text.matchAll(TEMPLATE_VARIABLE_RE)) {
+                const name = match[1].trim();
+                const known = variables.get(name);
+                if (!known) variables.set(name, { name, fallback: match[2] || '' });
+                else if (!known.fallback && match[2]) known.fallback = match[2];
+            }
+        });
+        return [...variables.values()];
+    }
+    // Replace variables with `values[name]`, else their default; variables without either are kept
+    function fillTemplate(text, values) {
+        return text.replace(TEMPLATE_VARIABLE_RE, (token, name, fallback) => {
+            const value = values[name.trim()] || fallback;
+            return value ? value : token;
+        });
+    }
+    // The template as a regular entry with variables filled in
+    function fillTemplateEntry(entry, values) {
+        const params = {};
+        Object.entries(entry.params || {}).forEach(([key, value]) => {
+            params[key] = typeof value === 'string' ? fillTemplate(value, values) : value;
+        });
+        return { ...entry, prompt: fillTemplate(entry.prompt, values), params, isTemplate: false };
+    }
+    let activeTemplate = null;
+    function templateValues() {
+        const values = {};
+        templateFields.querySelectorAll('[data-variable]').forEach(input => {
+            values[input.dataset.variable] = input.value.trim();
+        });
+        return values;
+    }
+    function updateTemplatePreview() {
+        if (!activeTemplate) return;
+        templatePreview.textContent = buildFullPrompt(fillTemplateEntry(activeTemplate, templateValues()));
+    }
+    function openTemplateModal(entry) {
+        if (!templateModal) return;
+        activeTemplate = entry;
+        templateFields.innerHTML = '';
+        const variables = templateVariables(entry);
+        if (!variables.length) {
+            const msg = document.createElement('p');
+            msg.textContent = 'У шаблоні немає змінних.';
+            templateFields.appendChild(msg);
+        }
+        variables.forEach(variable => {
+            const label = document.createElement('label');
+            label.textContent = variable.name;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.dataset.variable = variable.name;
+            input.value = variable.fallback;
+            input.placeholder = variable.name;
+            input.addEventListener('input', updateTemplatePreview);
+            label.appendChild(input);
+            templateFields.appendChild(label);
+        });
+        if (templateSceneBtn) {
+            templateSceneBtn.disabled = !storyData;
+            templateSceneBtn.title = storyData ? `Історія «${storyData.name}»` : 'Спочатку створіть історію';
+        }
+        updateTemplatePreview();
+        templateModal.style.display = 'block';
+        const firstInput = templateFields.querySelector('input');
+        if (firstInput) firstInput.focus();
+    }
+    function closeTemplateModal() {
+        templateModal.style.display = 'none';
+        templateFields.innerHTML = '';
+        activeTemplate = null;
+    }
+    // Filled template, or null (with a message) while some variable has neither a value nor a default
+    function filledTemplate() {
+        const filled = fillTemplateEntry(activeTemplate, templateValues());
+        const missing = templateVariables(filled);
+        if (missing.length) {
+            alert(`Заповніть змінні: ${missing.map(v => v.name).join(', ')}`);
+            return null;
+        }
+        const invalid = invalidParams(filled);
+        if (invalid.length) {
+            alert(`Неприпустимі значення параметрів: ${invalid.join(', ')}`);
+            return null;
+        }
+        return filled;
+    }
+    if (templateCopyBtn) {
+        templateCopyBtn.addEventListener('click', () => {
+            const filled = filledTemplate();
+            if (!filled) return;
+            navigator.clipboard.writeText(buildFullPrompt(filled)).then(() => {
+                alert('Промпт скопійовано в буфер обміну');
+            }).catch(err => console.error('Clipboard:', err));
+        });
+    }
+    if (templateSaveBtn) {
+        templateSaveBtn.addEventListener('click', async () => {
+            const filled = filledTemplate();
+            if (!filled) return;
+            templateSaveBtn.disabled = true;
+            const saved = await withSync(() => api.createEntry({
+                generator: filled.generator,
+                prompt: filled.prompt,
+                tags: filled.tags || [],
+                params: filled.params,
+                done: false
+            }));
+            templateSaveBtn.disabled = false;
+            if (!saved) return;
+            cacheEntry(saved);
+            closeTemplateModal();
+            renderEntries();
+        });
+    }
+    if (templateSceneBtn) {
+        templateSceneBtn.addEventListener('click', () => {
+            const filled = filledTemplate();
+            if (!filled || !storyData) return;
+            addSceneFromEntry(filled);
+            closeTemplateModal();
+            alert(`Сцену додано до історії «${storyData.name}»`);
+        });
+    }
+    if (templateModalClose) {
+        templateModalClose.addEventListener('click', closeTemplateModal);
+    }
+    if (templateModal) {
+        templateModal.addEventListener('click', (e) => {
+            if (e.target === templateModal) {
+                closeTemplateModal();
+            }
+        });
+    }
+
     /* ---------------- Delete entry ---------------- */
-    function deleteEntry(id) {
+    async function deleteEntry(id) {
         if (!confirm('Ви впевнені, що хочете видалити цей запис?')) return;
-        let entries = loadEntries();
-        entries = entries.filter(e => e.id !== id);
-        saveEntries(entries);
+        const result = await withSync(() => api.deleteEntry(id), 'Видалення…');
+        if (!result) return;
+        saveEntries(loadEntries().filter(e => e.id !== id));
+        refreshSavedSearchCounts();
+        // The server drops the entry from its boards as well
+        boards = boards.map(b => ({ ...b, entryIds: b.entryIds.filter(entryId => entryId !== id) }));
+        saveBoards(boards);
+        selectBoard(currentBoard ? currentBoard.id : null);
         renderEntries();
     }
 
+    /* ---------------- Bulk import: CSV / Markdown ---------------- */
+    // Entry fields a CSV column can be mapped to; columns with one of `names` as header are mapped automatically
+    const BULK_IMPORT_FIELDS = [
+        { key: 'prompt', label: 'Промпт', names: ['prompt', 'промпт', 'text', 'текст'] },
+        { key: 'generator', label: 'Генератор', names: ['generator', 'генератор', 'category', 'категорія', 'model', 'модель'] },
+        { key: 'tags', label: 'Хештеги', names: ['tags', 'теги', 'hashtags', 'хештеги'] },
+        { key: 'done', label: 'Виконано', names: ['done', 'виконано', 'status', 'статус'] },
+        { key: 'image', label: 'Зображення (URL)', names: ['image', 'зображення', 'image url', 'url'] }
+    ];
+    const BULK_IMPORT_PREVIEW_ROWS = 50;
+    // CSV per RFC 4180: quoted fields may contain delimiters, doubled quotes and line breaks.
+    // The delimiter (comma, semicolon or tab) is guessed from the first line.
+    function parseCSV(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = [';', '\t'].reduce((best, d) => {
+            return firstLine.split(d).length > firstLine.split(best).length ? d : best;
+        }, ',');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(cell => cell.trim()));
+    }
+    // Hashtags (#word) in free text, in the same form as parseTags
+    function extractHashtags(str) {
+        return [...String(str).matchAll(/(?:^|\s)#([\p{L}\p{N}_-]+)/gu)].map(m => m[1].toLowerCase());
+    }
+    // Markdown: every fenced block (``` or ~~~) is one prompt. The block's language or the
+    // nearest heading above it names the generator; hashtags and an image ![](url) in the
+    // paragraph right below the block become its tags and image.
+    function parseMarkdownPrompts(text) {
+        const items = [];
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        let heading = '';
+        // Item whose trailing paragraph is being read
+        let current = null;
+        let inParagraph = false;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const fence = line.match(/^\s*(`{3,}|~{3,})\s*([^`\s]*)/);
+            if (fence) {
+                const body = [];
+                for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) {
+                    body.push(lines[i]);
+                }
+                const prompt = body.join('\n').trim();
+                const lang = fence[2];
+                current = prompt ? {
+                    generator: [lang, heading].find(name => findCategory(name)) || lang || heading,
+                    prompt,
+                    tags: [],
+                    done: false,
+                    image: ''
+                } : null;
+                if (current) items.push(current);
+                inParagraph = false;
+                continue;
+            }
+            const headingMatch = line.match(/^#{1,6}\s+(.*?)[\s#]*$/);
+            if (headingMatch) {
+                heading = headingMatch[1];
+                current = null;
+            } else if (!line.trim()) {
+                if (inParagraph) current = null;
+                inParagraph = false;
+            } else if (current) {
+                inParagraph = true;
+                extractHashtags(line).forEach(tag => {
+                    if (!current.tags.includes(tag)) current.tags.push(tag);
+                });
+                const image = line.match(/!\[[^\]]*\]\(([^)\s]+)/);
+                if (image && !current.image) current.image = image[1];
+            }
+        }
+        return items;
+    }
+    // Existing category matching a generator name, ignoring case and surrounding spaces
+    function findCategory(name) {
+        const key = String(name || '').trim().toLowerCase();
+        return key ? categories.find(cat => cat.toLowerCase() === key) : undefined;
+    }
+    // Prompts of the loaded file with raw generator names (empty when unknown)
+    function bulkImportRawItems() {
+        if (!bulkImport) return [];
+        if (bulkImport.kind === 'markdown') return bulkImport.items;
+        const { rows, mapping } = bulkImport;
+        return rows.map(row => {
+            const cell = (key) => (mapping[key] >= 0 ? row[mapping[key]] || '' : '').trim();
+            const tags = cell('tags');
+            const image = cell('image');
+            return {
+                generator: cell('generator'),
+                prompt: cell('prompt'),
+                tags: tags.includes('#') ? extractHashtags(tags) : parseTags(tags),
+                done: /^(1|true|yes|y|x|так|done|✓|✔)$/i.test(cell('done')),
+                image: /^(https?:\/\/|\/uploads\/)/i.test(image) ? image : ''
+            };
+        }).filter(item => item.prompt);
+    }
+    // Resolve generator names: existing categories are matched, unknown names become new
+    // categories if an admin agreed, everything else goes to the default generator
+    function bulkImportItems() {
+        const fallback = bulkImportDefaultGenerator ? bulkImportDefaultGenerator.value : 'Other';
+        const createNew = bulkImportCreateCategories && currentRole === 'admin';
+        return bulkImportRawItems().map(item => {
+            const match = findCategory(item.generator);
+            const name = item.generator.trim();
+            let generator = match || fallback;
+            let status = match ? 'match' : 'fallback';
+            if (!match && name && createNew) {
+                generator = name;
+                status = 'new';
+            }
+            return { ...item, generator, source: name, status };
+        });
+    }
+    function renderBulkImportMapping() {
+        if (!bulkImportMapping) return;
+        bulkImportMapping.innerHTML = '';
+        if (!bulkImport || bulkImport.kind !== 'csv') return;
+        BULK_IMPORT_FIELDS.forEach(field => {
+            const label = document.createElement('label');
+            label.textContent = field.label;
+            const select = document.createElement('select');
+            const none = document.createElement('option');
+            none.value = '-1';
+            none.textContent = '—';
+            select.appendChild(none);
+            bulkImport.headers.forEach((header, idx) => {
+                const opt = document.createElement('option');
+                opt.value = String(idx);
+                opt.textContent = header || `Колонка ${idx + 1}`;
+                select.appendChild(opt);
+            });
+            select.value = String(bulkImport.mapping[field.key]);
+            select.addEventListener('change', () => {
+                bulkImport.mapping[field.key] = Number(select.value);
+                renderBulkImportPreview();
+            });
+            label.appendChild(select);
+            bulkImportMapping.appendChild(label);
+        });
+    }
+    function renderBulkImportPreview() {
+        if (!bulkImportPreview) return;
+        bulkImportPreview.innerHTML = '';
+        const items = bulkImportItems();
+        if (bulkImportBtn) {
+            bulkImportBtn.disabled = !items.length;
+            bulkImportBtn.textContent = items.length ? `Імпортувати (${items.length})` : 'Імпортувати';
+        }
+        if (!bulkImport) return;
+        if (!items.length) {
+            const msg = document.createElement('p');
+            msg.textContent = bulkImport.kind === 'csv'
+                ? 'Оберіть колонку з текстом промпту.'
+                : 'У файлі не знайдено блоків ``` з промптами.';
+            bulkImportPreview.appendChild(msg);
+            return;
+        }
+        // Generator names without a category: admins may create them, otherwise they are replaced
+        const unknown = [...new Set(bulkImportRawItems().map(item => item.generator.trim()).filter(name => name && !findCategory(name)))];
+        if (unknown.length) {
+            const note = document.createElement('p');
+            if (currentRole === 'admin') {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = bulkImportCreateCategories;
+                checkbox.addEventListener('change', () => {
+                    bulkImportCreateCategories = checkbox.checked;
+                    renderBulkImportPreview();
+                });
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(' Створити нові категорії: ' + unknown.join(', ')));
+                note.appendChild(label);
+            } else {
+                note.textContent = `Невідомі генератори (${unknown.join(', ')}) буде замінено на генератор за замовчуванням. ` +
+                    'Нові категорії може створити адміністратор.';
+            }
+            bulkImportPreview.appendChild(note);
+        }
+        const table = document.createElement('table');
+        const head = table.insertRow();
+        ['#', 'Генератор', 'Промпт', 'Хештеги', 'Виконано'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+        items.slice(0, BULK_IMPORT_PREVIEW_ROWS).forEach((item, idx) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = idx + 1;
+            const genCell = row.insertCell();
+            if (item.status === 'fallback' && item.source) {
+                const original = document.createElement('span');
+                original.className = 'unmatched-category';
+                original.textContent = item.source;
+                genCell.appendChild(original);
+                genCell.appendChild(document.createTextNode(' → ' + item.generator));
+            } else {
+                genCell.textContent = item.generator;
+                if (item.status === 'new') {
+                    genCell.className = 'new-category';
+                    genCell.textContent += ' (нова)';
+                }
+            }
+            const promptCell = row.insertCell();
+            promptCell.textContent = item.prompt.length > 140 ? item.prompt.slice(0, 140) + '…' : item.prompt;
+            row.insertCell().textContent = item.tags.map(t => '#' + t).join(' ');
+            row.insertCell().textContent = item.done ? '✓' : '';
+        });
+        bulkImportPreview.appendChild(table);
+        if (items.length > BULK_IMPORT_PREVIEW_ROWS) {
+            const more = document.createElement('p');
+            more.textContent = `… і ще ${items.length - BULK_IMPORT_PREVIEW_ROWS}`;
+            bulkImportPreview.appendChild(more);
+        }
+    }
+    function resetBulkImport() {
+        bulkImport = null;
+        bulkImportCreateCategories = false;
+        if (bulkImportFile) bulkImportFile.value = '';
+        renderBulkImportMapping();
+        renderBulkImportPreview();
+    }
+    if (bulkImportFile) {
+        bulkImportFile.addEventListener('change', async () => {
+            const file = bulkImportFile.files[0];
+            if (!file) return resetBulkImport();
+            const text = await file.text();
+            bulkImportCreateCategories = false;
+            if (/\.(md|markdown)$/i.test(file.name) || file.type === 'text/markdown') {
+                bulkImport = { kind: 'markdown', items: parseMarkdownPrompts(text) };
+            } else {
+                const [headers = [], ...rows] = parseCSV(text);
+                const mapping = {};
+                BULK_IMPORT_FIELDS.forEach(field => {
+                    mapping[field.key] = headers.findIndex(h => field.names.includes(h.trim().toLowerCase()));
+                });
+                bulkImport = { kind: 'csv', headers, rows, mapping };
+            }
+            renderBulkImportMapping();
+            renderBulkImportPreview();
+        });
+    }
+    if (bulkImportDefaultGenerator) {
+        bulkImportDefaultGenerator.addEventListener('change', renderBulkImportPreview);
+    }
+    if (bulkImportBtn) {
+        bulkImportBtn.addEventListener('click', async () => {
+            const items = bulkImportItems();
+            if (!items.length) return;
+            const entries = items.map(({ generator, prompt, tags, done, image }) => ({ generator, prompt, tags, done, image }));
+            const createCategories = items.some(item => item.status === 'new');
+            bulkImportBtn.disabled = true;
+            const result = await withSync(() => api.importEntries(entries, createCategories), 'Імпорт…');
+            bulkImportBtn.disabled = false;
+            if (!result) return;
+            categories = result.categories;
+            saveCategories(categories);
+            saveEntries(loadEntries().concat(result.entries));
+            refreshSavedSearchCounts();
+            resetBulkImport();
+            renderCategorySelect();
+            renderCategories();
+            updateActiveCategory();
+            reloadEntries();
+            updateAdminPanel();
+            alert(`Імпортовано промптів: ${result.entries.length}`);
+        });
+    }
+
+    /* ---------------- Sort ---------------- */
+    if (sortSelect) {
+        const savedSort = localStorage.getItem('entriesSort');
+        if (savedSort && [...sortSelect.options].some(o => o.value === savedSort)) sortSelect.value = savedSort;
+        sortSelect.addEventListener('change', () => {
+            localStorage.setItem('entriesSort', sortSelect.value);
+            reloadEntries();
+        });
+    }
+
     /* ---------------- Search ---------------- */
+    // Queries use the syntax of query.js. The server filters the grid's pages; cached entries are
+    // filtered locally until its answer arrives, and while offline.
+    const SEARCH_DELAY_MS = 300;
+    function setSearchTerm(term) {
+        searchTerm = term.trim();
+        searchQuery = PromptQuery.parseQuery(searchTerm);
+    }
+    // Query that finds a tag; tags with spaces need quotes
+    function tagQuery(tag) {
+        return /\s/.test(tag) ? `tag:"${tag}"` : `#${tag}`;
+    }
+    function isSearchTag(tag) {
+        return PromptQuery.matchRanges(searchQuery, tag, 'tag').length > 0;
+    }
+    // Put `text` into `el`, with the parts matched by the search query wrapped in <mark>
+    function setHighlightedText(el, text) {
+        el.textContent = '';
+        let pos = 0;
+        PromptQuery.matchRanges(searchQuery, text).forEach(([start, end]) => {
+            el.append(text.slice(pos, start));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, end);
+            el.appendChild(mark);
+            pos = end;
+        });
+        el.append(text.slice(pos));
+    }
     if (searchInput) {
         searchInput.addEventListener('input', () => {
-            searchTerm = searchInput.value.trim().toLowerCase();
-            renderEntries();
+            setSearchTerm(searchInput.value);
+            reloadEntries(SEARCH_DELAY_MS);
         });
     }
 
     // Global search bar input event (header search)
     if (globalSearchInput) {
         globalSearchInput.addEventListener('input', () => {
-            searchTerm = globalSearchInput.value.trim().toLowerCase();
-            renderEntries();
+            setSearchTerm(globalSearchInput.value);
+            reloadEntries(SEARCH_DELAY_MS);
             renderMaterials();
         });
     }
 
+    /* ---------------- Saved searches (smart collections) ---------------- */
+    // A saved search restores a category + query combination; its count comes from the
+    // server and is fetched again after entries change
+    function savedSearchCategory(search) {
+        return search.category || 'All';
+    }
+    let savedSearchCountTimer = null;
+    // Refetch the counts once for a burst of entry changes
+    function refreshSavedSearchCounts() {
+        clearTimeout(savedSearchCountTimer);
+        savedSearchCountTimer = setTimeout(async () => {
+            const user = currentUser;
+            let searches;
+            try {
+                searches = await api.getSavedSearches();
+            } catch (err) {
+                console.error('Failed to refresh saved search counts:', err);
+                return;
+            }
+            if (currentUser !== user) return;
+            savedSearches = searches;
+            saveSavedSearches(savedSearches);
+            renderSavedSearches();
+        }, SEARCH_DELAY_MS);
+    }
+    function applySavedSearch(search) {
+        currentCategory = savedSearchCategory(search);
+        setSearchTerm(search.query);
+        searchInput.value = search.query;
+        if (globalSearchInput) globalSearchInput.value = search.query;
+        updateActiveCategory();
+        reloadEntries();
+        renderMaterials();
+    }
+    function renderSavedSearches() {
+        if (!savedSearchList) return;
+        savedSearchList.innerHTML = '';
+        savedSearches.forEach(search => {
+            const li = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.className = 'saved-search';
+            btn.title = [search.category, search.query].filter(Boolean).join(' · ');
+            if (savedSearchCategory(search) === currentCategory && search.query === searchTerm) btn.classList.add('active');
+            const name = document.createElement('span');
+            name.className = 'saved-search-name';
+            name.textContent = search.name;
+            btn.appendChild(name);
+            if (typeof search.count === 'number') {
+                const count = document.createElement('span');
+                count.className = 'saved-search-count';
+                count.textContent = search.count;
+                btn.appendChild(count);
+            }
+            btn.addEventListener('click', () => applySavedSearch(search));
+            li.appendChild(btn);
+            const renameBtn = document.createElement('button');
+            renameBtn.className = 'saved-search-action';
+            renameBtn.textContent = '✎';
+            renameBtn.title = 'Перейменувати';
+            renameBtn.addEventListener('click', async () => {
+                const newName = prompt('Нова назва пошуку', search.name);
+                if (!newName || !newName.trim() || newName.trim() === search.name) return;
+                const updated = await withSync(() => api.updateSavedSearch(search.id, { name: newName.trim() }));
+                if (!updated) return;
+                savedSearches = savedSearches.map(s => (s.id === updated.id ? updated : s));
+                saveSavedSearches(savedSearches);
+                renderSavedSearches();
+            });
+            li.appendChild(renameBtn);
+            const delBtn = document.createElement('button');
+            delBtn.className = 'saved-search-action';
+            delBtn.textContent = '✕';
+            delBtn.title = 'Видалити';
+            delBtn.addEventListener('click', async () => {
+                if (!confirm(`Видалити збережений пошук «${search.name}»?`)) return;
+                const result = await withSync(() => api.deleteSavedSearch(search.id), 'Видалення…');
+                if (!result) return;
+                savedSearches = savedSearches.filter(s => s.id !== search.id);
+                saveSavedSearches(savedSearches);
+                renderSavedSearches();
+            });
+            li.appendChild(delBtn);
+            savedSearchList.appendChild(li);
+        });
+    }
+    if (saveSearchBtn) {
+        saveSearchBtn.addEventListener('click', async () => {
+            if (currentCategory === 'All' && !searchTerm) {
+                alert('Спочатку виберіть генератор або введіть пошуковий запит.');
+                return;
+            }
+            const suggested = [currentCategory === 'All' ? '' : currentCategory, searchTerm].filter(Boolean).join(' · ');
+            const name = prompt('Назва збереженого пошуку', suggested);
+            if (!name || !name.trim()) return;
+            const created = await withSync(() => api.createSavedSearch({
+                name: name.trim(),
+                category: currentCategory === 'All' ? '' : currentCategory,
+                query: searchTerm
+            }));
+            if (!created) return;
+            savedSearches.push(created);
+            saveSavedSearches(savedSearches);
+            renderSavedSearches();
+        });
+    }
+
     /* ---------------- Story mode: load/save and render ---------------- */
-    function loadStory() {
-        if (!currentUser) return { scenario: '', color: '#5a5ce6', scenes: [] };
-        const data = localStorage.getItem('storyData_' + currentUser);
-        if (!data) return { scenario: '', color: '#5a5ce6', scenes: [] };
-        try {
-            const parsed = JSON.parse(data);
-            return {
-                scenario: parsed.scenario || '',
-                color: parsed.color || '#5a5ce6',
-                scenes: Array.isArray(parsed.scenes) ? parsed.scenes : []
-            };
-        } catch (e) {
-            console.error('Failed to parse story data:', e);
-            return { scenario: '', color: '#5a5ce6', scenes: [] };
+    // Scenes without a duration are shown for this many seconds
+    const DEFAULT_SCENE_DURATION = 3;
+    function sceneDuration(scene) {
+        const duration = Number(scene.duration);
+        return duration > 0 ? duration : DEFAULT_SCENE_DURATION;
+    }
+    // Scenes with their start and end times: [{ scene, start, end }]
+    function storyTimings(scenes) {
+        let time = 0;
+        return scenes.map(scene => {
+            const start = time;
+            time += sceneDuration(scene);
+            return { scene, start, end: time };
+        });
+    }
+    function formatPlaybackTime(seconds) {
+        const s = Math.floor(seconds);
+        return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+    }
+    // Transition from a scene into the next one (same keys as on the server); 'cut' is the default
+    const SCENE_TRANSITIONS = {
+        cut: 'Склейка',
+        fade: 'Затемнення',
+        dissolve: 'Розчинення',
+        wipe: 'Шторка',
+        slide: 'Зсув',
+        zoom: 'Наїзд'
+    };
+    function sceneTransitionLabel(scene) {
+        return SCENE_TRANSITIONS[scene.transition] || SCENE_TRANSITIONS.cut;
+    }
+    // Fill a scale bar with one segment per scene, sized by duration; used by #timelineScale
+    // and the animatic scrubber. Returns the segments.
+    function renderTimelineSegments(bar, scenes) {
+        bar.innerHTML = '';
+        const color = getComputedStyle(document.documentElement).getPropertyValue('--accent-color');
+        return scenes.map(scene => {
+            const seg = document.createElement('div');
+            seg.className = 'segment';
+            seg.style.flexGrow = sceneDuration(scene);
+            seg.style.backgroundColor = color;
+            const label = document.createElement('span');
+            label.textContent = scene.duration ? `${scene.duration}s` : '';
+            seg.appendChild(label);
+            bar.appendChild(seg);
+            return seg;
+        });
+    }
+    // Client-side ids let scenes be referenced before the server has seen them
+    function newSceneId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+    // Make the story with `id` current (falls back to the first story)
+    function selectStory(id) {
+        const previous = storyData;
+        storyData = stories.find(st => st.id === id) || stories[0] || null;
+        if (storyData !== previous) clearSceneSelection();
+        if (currentUser) {
+            if (storyData) {
+                localStorage.setItem('currentStory_' + currentUser, storyData.id);
+            } else {
+                localStorage.removeItem('currentStory_' + currentUser);
+            }
         }
+        renderStoryPicker();
+        renderStory();
+        if (isStoryMode) showVideoRenderStatus();
     }
+    function renderStoryPicker() {
+        if (!storySelect) return;
+        storySelect.innerHTML = '';
+        stories.forEach(st => {
+            const opt = document.createElement('option');
+            opt.value = st.id;
+            opt.textContent = st.name;
+            storySelect.appendChild(opt);
+        });
+        if (storyData) storySelect.value = storyData.id;
+        [duplicateStoryBtn, renameStoryBtn, deleteStoryBtn, addSceneBtn, saveStoryBtn, playStoryBtn,
+            printStoryboardBtn, exportShotListBtn].forEach(btn => {
+            if (btn) btn.disabled = !storyData;
+        });
+    }
+    // Persist a story: the cache is updated at once, the server shortly after,
+    // because edits such as typing an animation prompt arrive in bursts.
+    const storySaveTimers = {};
     function saveStory(data) {
-        if (!currentUser) return;
+        if (!currentUser || !data) return;
+        saveStories(stories);
+        clearTimeout(storySaveTimers[data.id]);
+        storySaveTimers[data.id] = setTimeout(() => pushStory(data), 500);
+    }
+    // Send a story to the server now; resolves to true on success
+    async function pushStory(data) {
+        clearTimeout(storySaveTimers[data.id]);
+        delete storySaveTimers[data.id];
+        setSyncStatus('loading', 'Збереження історії…');
         try {
-            localStorage.setItem('storyData_' + currentUser, JSON.stringify(data));
-        } catch (e) {
-            console.error('Failed to save story data:', e);
+            const saved = await api.updateStory(data.id, {
+                name: data.name,
+                scenario: data.scenario,
+                color: data.color,
+                scenes: data.scenes
+            });
+            data.updatedAt = saved.updatedAt;
+            saveStories(stories);
+            setSyncStatus('');
+            return true;
+        } catch (err) {
+            console.error('Failed to save story:', err);
+            setSyncStatus(err.offline ? 'offline' : 'error', err.offline ? 'Офлайн: історію не збережено' : err.message);
+            return false;
         }
     }
     function renderStory() {
-        if (!storyData) return;
+        renderSceneSelectionBar();
+        if (!storyData) {
+            if (storyScenario) storyScenario.value = '';
+            if (timelineScale) timelineScale.innerHTML = '';
+            if (timelineRuntime) timelineRuntime.textContent = '';
+            if (storyTimeline) {
+                storyTimeline.innerHTML = '';
+                const msg = document.createElement('p');
+                msg.className = 'entries-empty';
+                msg.textContent = 'Немає історій. Створіть нову.';
+                storyTimeline.appendChild(msg);
+            }
+            return;
+        }
         // Set scenario and color
         if (storyScenario) storyScenario.value = storyData.scenario || '';
         if (themeColorInput) themeColorInput.value = storyData.color || '#5a5ce6';
@@ -643,32 +2349,61 @@ document.addEventListener('DOMContentLoaded', () => {
         if (timelineScale) {
             timelineScale.innerHTML = '';
         }
+        const timings = storyTimings(storyData.scenes || []);
+        if (timelineRuntime) {
+            timelineRuntime.textContent = timings.length
+                ? `Загальна тривалість: ${formatPlaybackTime(timings[timings.length - 1].end)} · сцен: ${timings.length}`
+                : '';
+        }
+        // Drop selected ids of scenes that are gone
+        selectedSceneIds.forEach(id => {
+            if (!storyData.scenes.some(s => s.id === id)) selectedSceneIds.delete(id);
+        });
+        renderSceneSelectionBar();
         if (!storyData.scenes || storyData.scenes.length === 0) {
             const msg = document.createElement('p');
             msg.className = 'entries-empty';
-            msg.textContent = 'Поки що немає сцен.';
+            msg.textContent = 'Поки що немає сцен. Перетягніть сюди промпт або додайте сцену.';
             storyTimeline.appendChild(msg);
             return;
         }
         // Build timeline scale segments
         if (timelineScale && storyData.scenes.length > 0) {
-            const total = storyData.scenes.reduce((sum, s) => sum + (s.duration && !isNaN(s.duration) ? Number(s.duration) : 1), 0);
-            storyData.scenes.forEach(scene => {
-                const seg = document.createElement('div');
-                seg.className = 'segment';
-                const dur = (scene.duration && !isNaN(scene.duration)) ? Number(scene.duration) : 1;
-                seg.style.flexGrow = dur;
-                seg.style.backgroundColor = getComputedStyle(document.documentElement).getPropertyValue('--accent-color');
-                const label = document.createElement('span');
-                label.textContent = scene.duration ? `${scene.duration}s` : '';
-                seg.appendChild(label);
-                timelineScale.appendChild(seg);
+            renderTimelineSegments(timelineScale, storyData.scenes).forEach((seg, index) => {
+                const { scene, start, end } = timings[index];
+                if (selectedSceneIds.has(scene.id)) seg.classList.add('selected');
+                if (scene.transition && scene.transition !== 'cut') seg.classList.add('has-transition');
+                seg.title = `Сцена ${index + 1} · ${formatPlaybackTime(start)}–${formatPlaybackTime(end)} · ${sceneTransitionLabel(scene)}`;
+                // Scroll the timeline to the scene
+                seg.addEventListener('click', () => {
+                    const card = storyTimeline.querySelectorAll('.scene-card')[index];
+                    if (card) card.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'center' });
+                });
             });
         }
         storyData.scenes.forEach((scene, index) => {
+            // Insert a new scene here
+            const insertBtn = document.createElement('button');
+            insertBtn.type = 'button';
+            insertBtn.className = 'scene-insert';
+            insertBtn.textContent = '+';
+            insertBtn.title = 'Вставити сцену сюди';
+            insertBtn.addEventListener('click', () => openSceneModal(null, index));
+            storyTimeline.appendChild(insertBtn);
             const card = document.createElement('div');
             card.className = 'scene-card';
+            card.dataset.id = scene.id;
+            card.draggable = true;
             if (scene.done) card.classList.add('done');
+            if (selectedSceneIds.has(scene.id)) card.classList.add('selected');
+            // Ctrl/Cmd + click toggles the selection, Shift + click selects a range; caught
+            // before the card's own controls react to the click
+            card.addEventListener('click', (e) => {
+                if (!e.ctrlKey && !e.metaKey && !e.shiftKey) return;
+                e.preventDefault();
+                e.stopPropagation();
+                toggleSceneSelection(scene, index, e.shiftKey);
+            }, true);
             // Done checkbox
             const checkbox = document.createElement('input');
             checkbox.type = 'checkbox';
@@ -680,14 +2415,20 @@ document.addEventListener('DOMContentLoaded', () => {
                 renderStory();
             });
             card.appendChild(checkbox);
-            // Image
-            const img = document.createElement('img');
-            img.src = scene.image;
-            img.alt = 'Scene image';
-            img.addEventListener('click', () => {
+            // Image, or a placeholder for scenes made from text-only prompts
+            let preview;
+            if (scene.image) {
+                preview = document.createElement('img');
+                setThumbnail(preview, scene);
+                preview.alt = 'Scene image';
+                preview.draggable = false;
+            } else {
+                preview = createImagePlaceholder(sceneLabel(scene, index), scene.prompt || '');
+            }
+            preview.addEventListener('click', () => {
                 openSceneDetails(index);
             });
-            card.appendChild(img);
+            card.appendChild(preview);
             // Info container
             const infoDiv = document.createElement('div');
             infoDiv.className = 'scene-info';
@@ -705,11 +2446,31 @@ document.addEventListener('DOMContentLoaded', () => {
             vTitleEl.className = 'video-title';
             vTitleEl.textContent = scene.videoTitle || '';
             infoDiv.appendChild(vTitleEl);
-            // Duration
+            // Timecodes and duration
             const durationEl = document.createElement('div');
             durationEl.className = 'scene-duration';
-            durationEl.textContent = scene.duration ? `Тривалість: ${scene.duration}s` : '';
+            const { start, end } = timings[index];
+            durationEl.textContent = `${formatPlaybackTime(start)}–${formatPlaybackTime(end)} · ${sceneDuration(scene)}s`;
+            if (!scene.duration) durationEl.title = 'Тривалість за замовчуванням';
             infoDiv.appendChild(durationEl);
+            // Camera, voice-over, music/SFX and the transition into the next scene
+            const meta = [
+                ['🎥', scene.cameraMove, 'Рух камери'],
+                ['🎙', scene.voiceOver, 'Закадровий текст'],
+                ['🎵', scene.audioCue, 'Музика / звукові ефекти'],
+                ['⇢', scene.transition && scene.transition !== 'cut' ? sceneTransitionLabel(scene) : '', 'Перехід до наступної сцени']
+            ].filter(([, text]) => text);
+            if (meta.length) {
+                const metaDiv = document.createElement('div');
+                metaDiv.className = 'scene-meta';
+                meta.forEach(([icon, text, label]) => {
+                    const line = document.createElement('div');
+                    line.textContent = `${icon} ${text}`;
+                    line.title = `${label}: ${text}`;
+                    metaDiv.appendChild(line);
+                });
+                infoDiv.appendChild(metaDiv);
+            }
             // Animation prompt input
             const animInput = document.createElement('input');
             animInput.type = 'text';
@@ -756,11 +2517,17 @@ document.addEventListener('DOMContentLoaded', () => {
             storyTimeline.appendChild(card);
         });
     }
+    // Placeholder label of a scene: the generator of its source prompt, if still known
+    function sceneLabel(scene, index) {
+        const entry = scene.entryId && loadEntries().find(e => e.id === scene.entryId);
+        return entry ? entry.generator : `Сцена ${index + 1}`;
+    }
     function openSceneDetails(index) {
         const scene = storyData && storyData.scenes[index];
         if (!scene) return;
         modal.style.display = 'block';
-        modalImg.src = scene.image;
+        setModalImage(scene.image);
+        setGallery([]);
         modalDetails.innerHTML = '';
         // Title
         const h3 = document.createElement('h3');
@@ -818,23 +2585,33 @@ document.addEventListener('DOMContentLoaded', () => {
         btnCont.appendChild(delBtn);
         modalDetails.appendChild(btnCont);
     }
-    function openSceneModal(editIndex = null) {
+    // Open the scene modal to edit the scene at `editIndex`, or to add one at `insertIndex` (default: the end)
+    function openSceneModal(editIndex = null, insertIndex = null) {
         editingSceneIndex = editIndex;
-        editingSceneImageBase64 = null;
+        editingSceneImage = null;
+        sceneInsertIndex = insertIndex;
         // Reset fields
         if (newSceneTitle) newSceneTitle.value = '';
         if (newSceneVideoTitle) newSceneVideoTitle.value = '';
         if (newSceneDuration) newSceneDuration.value = '';
         if (newSceneAnimationPrompt) newSceneAnimationPrompt.value = '';
+        if (newSceneCameraMove) newSceneCameraMove.value = '';
+        if (newSceneTransition) newSceneTransition.value = 'cut';
+        if (newSceneVoiceOver) newSceneVoiceOver.value = '';
+        if (newSceneAudioCue) newSceneAudioCue.value = '';
         if (newSceneImage) newSceneImage.value = '';
-        // If editing, prefill fields and store image base64
+        // If editing, prefill fields and remember the current image
         if (editIndex !== null && storyData && storyData.scenes[editIndex]) {
             const scene = storyData.scenes[editIndex];
             newSceneTitle.value = scene.prompt || '';
             newSceneVideoTitle.value = scene.videoTitle || '';
             newSceneDuration.value = scene.duration || '';
             newSceneAnimationPrompt.value = scene.animationPrompt || '';
-            editingSceneImageBase64 = scene.image;
+            newSceneCameraMove.value = scene.cameraMove || '';
+            newSceneTransition.value = SCENE_TRANSITIONS[scene.transition] ? scene.transition : 'cut';
+            newSceneVoiceOver.value = scene.voiceOver || '';
+            newSceneAudioCue.value = scene.audioCue || '';
+            editingSceneImage = { url: scene.image, thumbnail: scene.thumbnail };
             // Hide list of existing entries while editing
             if (sceneModalContent) sceneModalContent.style.display = 'none';
         } else {
@@ -842,12 +2619,32 @@ document.addEventListener('DOMContentLoaded', () => {
             if (sceneModalContent) sceneModalContent.style.display = 'block';
             renderSceneModalEntries();
         }
+        updateSceneTiming();
         sceneModal.style.display = 'block';
     }
+    // Start and end time of the scene being edited or added, with the duration typed so far
+    function updateSceneTiming() {
+        if (!newSceneTiming || !storyData) return;
+        const position = editingSceneIndex !== null ? editingSceneIndex
+            : sceneInsertIndex !== null ? sceneInsertIndex : storyData.scenes.length;
+        const start = storyData.scenes.slice(0, position).reduce((sum, scene) => sum + sceneDuration(scene), 0);
+        const end = start + sceneDuration({ duration: newSceneDuration.value });
+        newSceneTiming.textContent = `Сцена ${position + 1}: ${formatPlaybackTime(start)}–${formatPlaybackTime(end)}`;
+    }
+    if (newSceneDuration) newSceneDuration.addEventListener('input', updateSceneTiming);
+    if (newSceneTransition) {
+        Object.entries(SCENE_TRANSITIONS).forEach(([value, label]) => {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = label;
+            newSceneTransition.appendChild(opt);
+        });
+    }
     function closeSceneModal() {
         sceneModal.style.display = 'none';
         editingSceneIndex = null;
-        editingSceneImageBase64 = null;
+        editingSceneImage = null;
+        sceneInsertIndex = null;
     }
     function renderSceneModalEntries() {
         if (!sceneModalContent) return;
@@ -862,10 +2659,14 @@ document.addEventListener('DOMContentLoaded', () => {
         entries.forEach(entry => {
             const item = document.createElement('div');
             item.className = 'scene-entry-item';
-            const img = document.createElement('img');
-            img.src = entry.image;
-            img.alt = 'Entry image';
-            item.appendChild(img);
+            if (entry.image) {
+                const img = document.createElement('img');
+                setThumbnail(img, entry);
+                img.alt = 'Entry image';
+                item.appendChild(img);
+            } else {
+                item.appendChild(createImagePlaceholder(entry.generator, entry.prompt));
+            }
             const info = document.createElement('div');
             info.className = 'entry-info';
             const title = document.createElement('div');
@@ -875,17 +2676,22 @@ document.addEventListener('DOMContentLoaded', () => {
             const addBtn = document.createElement('button');
             addBtn.textContent = 'Додати';
             addBtn.addEventListener('click', () => {
-                addSceneFromEntry(entry);
+                addSceneFromEntry(entry, sceneInsertIndex);
                 closeSceneModal();
             });
             item.appendChild(addBtn);
             sceneModalContent.appendChild(item);
         });
     }
-    function addSceneFromEntry(entry) {
+    // Add a scene made from a prompt at `index` (default: the end)
+    function addSceneFromEntry(entry, index = null) {
         if (!storyData) return;
-        storyData.scenes.push({
+        storyData.scenes.splice(index === null ? storyData.scenes.length : index, 0, {
+            id: newSceneId(),
+            // Link back to the prompt this scene came from
+            entryId: entry.id,
             image: entry.image,
+            thumbnail: entry.thumbnail,
             prompt: entry.prompt,
             videoTitle: entry.prompt,
             tags: entry.tags ? [...entry.tags] : [],
@@ -899,14 +2705,21 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     // Handle creating or updating scene
     if (createSceneBtn) {
-        createSceneBtn.addEventListener('click', () => {
+        createSceneBtn.addEventListener('click', async () => {
             const title = newSceneTitle.value.trim();
             const videoTitle = newSceneVideoTitle.value.trim();
             const durationVal = newSceneDuration.value.trim();
             const duration = durationVal ? parseInt(durationVal, 10) : undefined;
             const animPrompt = newSceneAnimationPrompt.value.trim();
+            // Planning fields; unlike the ones above they can be cleared when editing
+            const planning = {
+                cameraMove: newSceneCameraMove.value.trim(),
+                transition: newSceneTransition.value || 'cut',
+                voiceOver: newSceneVoiceOver.value.trim(),
+                audioCue: newSceneAudioCue.value.trim()
+            };
             const file = newSceneImage.files[0];
-            // Handler to save scene after getting image data
+            // Handler to save scene once the image is known: { url, thumbnail }
             const saveSceneData = (imageData) => {
                 if (editingSceneIndex !== null && storyData && storyData.scenes[editingSceneIndex]) {
                     // Update existing scene
@@ -915,15 +2728,21 @@ document.addEventListener('DOMContentLoaded', () => {
                     scene.videoTitle = videoTitle || scene.videoTitle;
                     if (duration !== undefined && !isNaN(duration)) scene.duration = duration;
                     scene.animationPrompt = animPrompt || scene.animationPrompt;
-                    scene.image = imageData;
+                    Object.assign(scene, planning);
+                    scene.image = imageData ? imageData.url : '';
+                    scene.thumbnail = imageData ? imageData.thumbnail : undefined;
                 } else {
                     // Add new scene
-                    storyData.scenes.push({
-                        image: imageData,
+                    const at = sceneInsertIndex === null ? storyData.scenes.length : sceneInsertIndex;
+                    storyData.scenes.splice(at, 0, {
+                        id: newSceneId(),
+                        image: imageData ? imageData.url : '',
+                        thumbnail: imageData ? imageData.thumbnail : undefined,
                         prompt: title || 'Без тексту',
                         videoTitle: videoTitle || '',
                         duration: duration && !isNaN(duration) ? duration : undefined,
                         animationPrompt: animPrompt || '',
+                        ...planning,
                         tags: [],
                         done: false
                     });
@@ -932,28 +2751,16 @@ document.addEventListener('DOMContentLoaded', () => {
                 renderStory();
                 closeSceneModal();
             };
-            if (editingSceneIndex !== null) {
-                // Editing: if file selected, read; otherwise use existing base64
-                if (file) {
-                    const reader = new FileReader();
-                    reader.onload = (ev) => {
-                        saveSceneData(ev.target.result);
-                    };
-                    reader.readAsDataURL(file);
-                } else {
-                    saveSceneData(editingSceneImageBase64);
-                }
+            if (editingSceneIndex === null && !file && !title) {
+                alert('Будь ласка, оберіть зображення або введіть текст промпту.');
+                return;
+            }
+            if (file) {
+                const uploaded = await uploadImage(file);
+                if (uploaded) saveSceneData(uploaded);
             } else {
-                // Adding new
-                if (!file) {
-                    alert('Будь ласка, оберіть зображення для сцени.');
-                    return;
-                }
-                const reader = new FileReader();
-                reader.onload = (ev) => {
-                    saveSceneData(ev.target.result);
-                };
-                reader.readAsDataURL(file);
+                // Without a new file an edited scene keeps its image; a new scene is text-only
+                saveSceneData(editingSceneImage);
             }
         });
     }
@@ -974,6 +2781,9 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!isStoryMode) {
                 // Switch to story mode
                 isStoryMode = true;
+                isBoardsMode = false;
+                if (boardsSection) boardsSection.style.display = 'none';
+                if (boardsBtn) boardsBtn.classList.remove('active');
                 // Hide prompt sections
                 const addEntrySection = document.getElementById('add-entry');
                 const searchSection = document.getElementById('search-section');
@@ -983,7 +2793,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 // Show story section
                 if (storySection) storySection.style.display = 'block';
                 storyModeBtn.classList.add('active');
+                updateStoryPromptsPanel();
                 renderStory();
+                refreshVideoRenders();
             } else {
                 // Switch back to entries mode
                 isStoryMode = false;
@@ -994,6 +2806,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (entriesContainer) entriesContainer.style.display = '';
                 if (storySection) storySection.style.display = 'none';
                 storyModeBtn.classList.remove('active');
+                updateStoryPromptsPanel();
             }
         });
     }
@@ -1017,6 +2830,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 // Enter materials mode
                 isMaterialsMode = true;
                 isStoryMode = false;
+                updateStoryPromptsPanel();
+                isBoardsMode = false;
+                if (boardsSection) boardsSection.style.display = 'none';
+                if (boardsBtn) boardsBtn.classList.remove('active');
                 // Hide prompt and story sections
                 const addEntrySection = document.getElementById('add-entry');
                 const searchSection = document.getElementById('search-section');
@@ -1045,49 +2862,288 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    /* ---------------- Add material button handler ---------------- */
-    if (addMaterialBtn) {
-        addMaterialBtn.addEventListener('click', () => {
-            const title = materialTitle.value.trim();
-            const type = materialType.value;
-            const url = materialUrl.value.trim();
-            const tags = parseTags(materialTags.value);
-            if (!title || !url) {
-                alert('Будь ласка, заповніть назву та посилання.');
-                return;
+    /* ---------------- Boards mode button handler ---------------- */
+    if (boardsBtn) {
+        boardsBtn.addEventListener('click', () => {
+            const addEntrySection = document.getElementById('add-entry');
+            const searchSection = document.getElementById('search-section');
+            if (!isBoardsMode) {
+                // Enter boards mode
+                isBoardsMode = true;
+                isStoryMode = false;
+                updateStoryPromptsPanel();
+                isMaterialsMode = false;
+                if (addEntrySection) addEntrySection.style.display = 'none';
+                if (searchSection) searchSection.style.display = 'none';
+                if (entriesContainer) entriesContainer.style.display = 'none';
+                if (storySection) storySection.style.display = 'none';
+                if (materialsSection) materialsSection.style.display = 'none';
+                if (boardsSection) boardsSection.style.display = 'block';
+                boardsBtn.classList.add('active');
+                if (storyModeBtn) storyModeBtn.classList.remove('active');
+                if (materialsBtn) materialsBtn.classList.remove('active');
+                renderBoard();
+            } else {
+                // Exit boards mode: show prompts again
+                isBoardsMode = false;
+                if (addEntrySection) addEntrySection.style.display = '';
+                if (searchSection) searchSection.style.display = '';
+                if (entriesContainer) entriesContainer.style.display = '';
+                if (boardsSection) boardsSection.style.display = 'none';
+                boardsBtn.classList.remove('active');
             }
-            if (!materialsData) materialsData = [];
-            const newMaterial = {
-                id: Date.now().toString(),
-                title,
-                type,
-                url,
-                tags
-            };
-            materialsData.push(newMaterial);
-            saveMaterials(materialsData);
-            // Reset inputs
-            materialTitle.value = '';
-            materialUrl.value = '';
-            materialTags.value = '';
-            renderMaterials();
         });
     }
 
-    /* ---------------- Render materials ---------------- */
-    function renderMaterials() {
-        if (!materialsContainer) return;
-        materialsContainer.innerHTML = '';
-        const mats = materialsData || [];
-        let filtered = mats;
-        if (searchTerm) {
-            const term = searchTerm.toLowerCase();
-            filtered = mats.filter(mat => {
-                const inTitle = mat.title.toLowerCase().includes(term);
-                const inTags = Array.isArray(mat.tags) && mat.tags.some(t => t.includes(term));
-                const inType = mat.type && mat.type.toLowerCase().includes(term);
-                return inTitle || inTags || inType;
-            });
+    /* ---------------- Boards ---------------- */
+    // Make the board with `id` current (falls back to the first board)
+    function selectBoard(id) {
+        currentBoard = boards.find(b => b.id === id) || boards[0] || null;
+        if (currentUser) {
+            if (currentBoard) {
+                localStorage.setItem('currentBoard_' + currentUser, currentBoard.id);
+            } else {
+                localStorage.removeItem('currentBoard_' + currentUser);
+            }
+        }
+        renderBoardPicker();
+        renderBoard();
+    }
+    function renderBoardPicker() {
+        if (!boardSelect) return;
+        boardSelect.innerHTML = '';
+        boards.forEach(board => {
+            const opt = document.createElement('option');
+            opt.value = board.id;
+            opt.textContent = `${board.name} (${board.entryIds.length})`;
+            boardSelect.appendChild(opt);
+        });
+        if (currentBoard) boardSelect.value = currentBoard.id;
+        [renameBoardBtn, deleteBoardBtn, boardDescription].forEach(el => {
+            if (el) el.disabled = !currentBoard;
+        });
+    }
+    // Replace a board with the copy the server returned
+    function storeBoard(board) {
+        boards = boards.map(b => (b.id === board.id ? board : b));
+        saveBoards(boards);
+        if (currentBoard && currentBoard.id === board.id) currentBoard = board;
+        renderBoardPicker();
+    }
+    function renderBoard() {
+        if (!boardEntriesContainer) return;
+        boardEntriesContainer.innerHTML = '';
+        if (boardDescription) boardDescription.value = currentBoard ? currentBoard.description || '' : '';
+        const byId = new Map(loadEntries().map(e => [e.id, e]));
+        const entries = currentBoard ? currentBoard.entryIds.map(id => byId.get(id)).filter(Boolean) : [];
+        if (!entries.length) {
+            const msg = document.createElement('p');
+            msg.className = 'entries-empty';
+            msg.textContent = currentBoard
+                ? 'На дошці ще немає промптів. Відкрийте промпт і позначте цю дошку.'
+                : 'Створіть першу дошку.';
+            boardEntriesContainer.appendChild(msg);
+            return;
+        }
+        entries.forEach(entry => boardEntriesContainer.appendChild(createBoardCard(entry)));
+    }
+    function createBoardCard(entry) {
+        const card = document.createElement('div');
+        card.className = 'board-card';
+        card.draggable = true;
+        card.dataset.id = entry.id;
+        let preview;
+        if (entry.image) {
+            preview = document.createElement('img');
+            setThumbnail(preview, entry);
+            preview.alt = 'Зображення промпту';
+            preview.draggable = false;
+        } else {
+            preview = createImagePlaceholder(entry.generator, entry.prompt);
+        }
+        card.appendChild(preview);
+        const label = document.createElement('span');
+        label.className = 'generator-label';
+        label.textContent = entry.generator;
+        card.appendChild(label);
+        const promptEl = document.createElement('div');
+        promptEl.className = 'board-card-prompt';
+        promptEl.textContent = entry.prompt;
+        card.appendChild(promptEl);
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'board-card-remove';
+        removeBtn.innerHTML = '&times;';
+        removeBtn.title = 'Прибрати з дошки';
+        removeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setEntryOnBoard(currentBoard, entry.id, false);
+        });
+        card.appendChild(removeBtn);
+        card.addEventListener('click', () => openModal(entry));
+        return card;
+    }
+    // Add an entry to a board or take it off; resolves to true on success
+    async function setEntryOnBoard(board, entryId, onBoard) {
+        const updated = await withSync(() => (onBoard ? api.addBoardEntry(board.id, entryId) : api.removeBoardEntry(board.id, entryId)));
+        if (!updated) return false;
+        storeBoard(updated);
+        renderBoard();
+        return true;
+    }
+    // Drag to reorder: the dragged card moves among the others while hovering, the new
+    // order is saved when the drag ends
+    if (boardEntriesContainer) {
+        let draggedCard = null;
+        boardEntriesContainer.addEventListener('dragstart', (e) => {
+            draggedCard = e.target.closest('.board-card');
+            if (!draggedCard) return;
+            draggedCard.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedCard.dataset.id);
+        });
+        boardEntriesContainer.addEventListener('dragover', (e) => {
+            if (!draggedCard) return;
+            e.preventDefault();
+            const target = e.target.closest('.board-card');
+            if (!target || target === draggedCard) return;
+            const rect = target.getBoundingClientRect();
+            const after = e.clientX > rect.left + rect.width / 2;
+            boardEntriesContainer.insertBefore(draggedCard, after ? target.nextSibling : target);
+        });
+        boardEntriesContainer.addEventListener('drop', (e) => e.preventDefault());
+        boardEntriesContainer.addEventListener('dragend', async () => {
+            if (!draggedCard) return;
+            draggedCard.classList.remove('dragging');
+            draggedCard = null;
+            if (!currentBoard) return;
+            const entryIds = [...boardEntriesContainer.querySelectorAll('.board-card')].map(card => card.dataset.id);
+            const previous = currentBoard.entryIds.filter(id => entryIds.includes(id));
+            if (entryIds.join() === previous.join()) return;
+            const updated = await withSync(() => api.updateBoard(currentBoard.id, { entryIds }));
+            if (updated) storeBoard(updated);
+            renderBoard();
+        });
+    }
+    if (boardSelect) {
+        boardSelect.addEventListener('change', () => selectBoard(boardSelect.value));
+    }
+    if (newBoardBtn) {
+        newBoardBtn.addEventListener('click', async () => {
+            const name = prompt('Назва нової дошки', 'Нова дошка');
+            if (!name || !name.trim()) return;
+            const created = await withSync(() => api.createBoard({ name: name.trim() }));
+            if (!created) return;
+            boards.push(created);
+            saveBoards(boards);
+            selectBoard(created.id);
+        });
+    }
+    if (renameBoardBtn) {
+        renameBoardBtn.addEventListener('click', async () => {
+            if (!currentBoard) return;
+            const name = prompt('Нова назва дошки', currentBoard.name);
+            if (!name || !name.trim()) return;
+            const updated = await withSync(() => api.updateBoard(currentBoard.id, { name: name.trim() }));
+            if (updated) storeBoard(updated);
+        });
+    }
+    if (deleteBoardBtn) {
+        deleteBoardBtn.addEventListener('click', async () => {
+            if (!currentBoard) return;
+            if (!confirm(`Видалити дошку "${currentBoard.name}"? Промпти залишаться в бібліотеці.`)) return;
+            const id = currentBoard.id;
+            const result = await withSync(() => api.deleteBoard(id), 'Видалення…');
+            if (!result) return;
+            boards = boards.filter(b => b.id !== id);
+            saveBoards(boards);
+            selectBoard(null);
+        });
+    }
+    if (boardDescription) {
+        boardDescription.addEventListener('change', async () => {
+            if (!currentBoard) return;
+            const updated = await withSync(() => api.updateBoard(currentBoard.id, { description: boardDescription.value }));
+            if (updated) storeBoard(updated);
+        });
+    }
+
+    /* ---------------- Add / edit material ---------------- */
+    if (addMaterialBtn) {
+        addMaterialBtn.addEventListener('click', async () => {
+            const title = materialTitle.value.trim();
+            const type = materialType.value;
+            const url = materialUrl.value.trim();
+            const tags = parseTags(materialTags.value);
+            const visibility = materialVisibility ? materialVisibility.value : 'personal';
+            if (!title || !url) {
+                alert('Будь ласка, заповніть назву та посилання.');
+                return;
+            }
+            const fields = { title, type, url, tags, visibility };
+            const saved = editingMaterialId
+                ? await withSync(() => api.updateMaterial(editingMaterialId, fields))
+                : await withSync(() => api.createMaterial(fields));
+            if (!saved) return;
+            const idx = materialsData.findIndex(m => m.id === saved.id);
+            if (idx !== -1) {
+                materialsData[idx] = saved;
+            } else {
+                materialsData.push(saved);
+            }
+            saveMaterials(materialsData);
+            resetMaterialForm();
+            renderMaterials();
+        });
+    }
+    if (cancelMaterialEditBtn) {
+        cancelMaterialEditBtn.addEventListener('click', () => {
+            resetMaterialForm();
+            renderMaterials();
+        });
+    }
+    function resetMaterialForm() {
+        editingMaterialId = null;
+        materialTitle.value = '';
+        materialUrl.value = '';
+        materialTags.value = '';
+        materialType.value = 'video';
+        if (materialVisibility) materialVisibility.value = 'personal';
+        addMaterialBtn.textContent = 'Додати матеріал';
+        if (cancelMaterialEditBtn) cancelMaterialEditBtn.style.display = 'none';
+    }
+    function startMaterialEdit(mat) {
+        editingMaterialId = mat.id;
+        materialTitle.value = mat.title;
+        materialType.value = mat.type || 'link';
+        materialUrl.value = mat.url;
+        materialTags.value = Array.isArray(mat.tags) ? mat.tags.join(', ') : '';
+        if (materialVisibility) materialVisibility.value = mat.visibility || 'personal';
+        addMaterialBtn.textContent = 'Зберегти зміни';
+        if (cancelMaterialEditBtn) cancelMaterialEditBtn.style.display = '';
+        materialTitle.focus();
+        renderMaterials();
+    }
+    // Mirrors the server rule: owners manage their materials, admins also manage team ones
+    function canManageMaterial(mat) {
+        return mat.owner === currentUser || (currentRole === 'admin' && mat.visibility === 'team');
+    }
+
+    /* ---------------- Render materials ---------------- */
+    function materialTypeLabel(mat) {
+        return mat.type === 'video' ? 'Відео' : 'Посилання';
+    }
+    function renderMaterials() {
+        if (!materialsContainer) return;
+        materialsContainer.innerHTML = '';
+        const mats = materialsData || [];
+        let filtered = mats;
+        if (searchQuery.length) {
+            filtered = mats.filter(mat => {
+                const tags = Array.isArray(mat.tags) ? mat.tags : [];
+                const type = `${mat.type} ${materialTypeLabel(mat)}`;
+                return PromptQuery.matchQuery(searchQuery, { text: [mat.title, type, ...tags], tags, type });
+            });
         }
         if (!filtered.length) {
             const msg = document.createElement('p');
@@ -1099,15 +3155,22 @@ document.addEventListener('DOMContentLoaded', () => {
         filtered.forEach(mat => {
             const card = document.createElement('div');
             card.className = 'material-card';
+            if (mat.id === editingMaterialId) card.classList.add('editing');
             // Title
             const h4 = document.createElement('h4');
-            h4.textContent = mat.title;
+            setHighlightedText(h4, mat.title);
             card.appendChild(h4);
             // Type
             const typeEl = document.createElement('div');
             typeEl.className = 'material-type';
-            typeEl.textContent = mat.type === 'video' ? 'Відео' : 'Посилання';
+            typeEl.textContent = materialTypeLabel(mat);
             card.appendChild(typeEl);
+            // Owner and visibility
+            const metaEl = document.createElement('div');
+            metaEl.className = 'material-meta';
+            const scope = mat.visibility === 'team' ? 'Команда' : 'Особистий';
+            metaEl.textContent = mat.owner && mat.owner !== currentUser ? `${scope} · ${mat.owner}` : scope;
+            card.appendChild(metaEl);
             // Link
             const link = document.createElement('a');
             link.href = mat.url;
@@ -1121,47 +3184,637 @@ document.addEventListener('DOMContentLoaded', () => {
                 mat.tags.forEach(tag => {
                     const span = document.createElement('span');
                     span.className = 'tag';
+                    if (isSearchTag(tag)) span.classList.add('match');
                     span.textContent = `#${tag}`;
                     span.addEventListener('click', (e) => {
                         e.stopPropagation();
-                        searchTerm = tag;
-                        if (globalSearchInput) globalSearchInput.value = tag;
+                        setSearchTerm(tagQuery(tag));
+                        if (globalSearchInput) globalSearchInput.value = searchTerm;
                         renderMaterials();
                     });
                     tagCont.appendChild(span);
                 });
                 card.appendChild(tagCont);
             }
-            // Actions
-            const actions = document.createElement('div');
-            actions.className = 'card-actions';
-            // Delete button
-            const delBtn = document.createElement('button');
-            delBtn.textContent = 'Видалити';
-            delBtn.addEventListener('click', () => {
-                if (confirm('Ви впевнені, що хочете видалити цей матеріал?')) {
+            // Actions (only for materials the user may manage)
+            if (canManageMaterial(mat)) {
+                const actions = document.createElement('div');
+                actions.className = 'card-actions';
+                // Edit button
+                const editBtn = document.createElement('button');
+                editBtn.textContent = 'Редагувати';
+                editBtn.addEventListener('click', () => startMaterialEdit(mat));
+                actions.appendChild(editBtn);
+                // Delete button
+                const delBtn = document.createElement('button');
+                delBtn.textContent = 'Видалити';
+                delBtn.addEventListener('click', async () => {
+                    if (!confirm('Ви впевнені, що хочете видалити цей матеріал?')) return;
+                    const result = await withSync(() => api.deleteMaterial(mat.id), 'Видалення…');
+                    if (!result) return;
                     materialsData = materialsData.filter(m => m.id !== mat.id);
                     saveMaterials(materialsData);
+                    if (editingMaterialId === mat.id) resetMaterialForm();
                     renderMaterials();
-                }
-            });
-            actions.appendChild(delBtn);
-            card.appendChild(actions);
+                });
+                actions.appendChild(delBtn);
+                card.appendChild(actions);
+            }
             materialsContainer.appendChild(card);
         });
     }
     // Save story button handler
     if (saveStoryBtn) {
-        saveStoryBtn.addEventListener('click', () => {
+        saveStoryBtn.addEventListener('click', async () => {
             if (storyData) {
                 storyData.scenario = storyScenario ? storyScenario.value.trim() : '';
                 storyData.color = themeColorInput ? themeColorInput.value : storyData.color;
-                saveStory(storyData);
-                alert('Історію збережено');
+                saveStories(stories);
+                if (await pushStory(storyData)) alert('Історію збережено');
             }
         });
     }
 
+    /* ---------------- Story picker handlers ---------------- */
+    if (storySelect) {
+        storySelect.addEventListener('change', () => selectStory(storySelect.value));
+    }
+    if (newStoryBtn) {
+        newStoryBtn.addEventListener('click', async () => {
+            const name = prompt('Назва нової історії', 'Нова історія');
+            if (!name || !name.trim()) return;
+            const created = await withSync(() => api.createStory({ name: name.trim() }));
+            if (!created) return;
+            stories.push(created);
+            saveStories(stories);
+            selectStory(created.id);
+        });
+    }
+    if (duplicateStoryBtn) {
+        duplicateStoryBtn.addEventListener('click', async () => {
+            if (!storyData) return;
+            const name = prompt('Назва копії', `${storyData.name} (копія)`);
+            if (!name || !name.trim()) return;
+            // Make sure the server copies the latest version
+            if (storySaveTimers[storyData.id] && !(await pushStory(storyData))) return;
+            const copy = await withSync(() => api.duplicateStory(storyData.id, name.trim()));
+            if (!copy) return;
+            stories.push(copy);
+            saveStories(stories);
+            selectStory(copy.id);
+        });
+    }
+    if (renameStoryBtn) {
+        renameStoryBtn.addEventListener('click', () => {
+            if (!storyData) return;
+            const name = prompt('Нова назва історії', storyData.name);
+            if (!name || !name.trim()) return;
+            storyData.name = name.trim();
+            saveStory(storyData);
+            renderStoryPicker();
+        });
+    }
+    if (deleteStoryBtn) {
+        deleteStoryBtn.addEventListener('click', async () => {
+            if (!storyData) return;
+            if (!confirm(`Видалити історію "${storyData.name}" разом з усіма сценами?`)) return;
+            const id = storyData.id;
+            const result = await withSync(() => api.deleteStory(id), 'Видалення…');
+            if (!result) return;
+            clearTimeout(storySaveTimers[id]);
+            delete storySaveTimers[id];
+            stories = stories.filter(st => st.id !== id);
+            saveStories(stories);
+            selectStory(null);
+        });
+    }
+
+    /* ---------------- Story timeline: reorder, insert, select ---------------- */
+    // Scenes are selected by id with Ctrl/Cmd + click (toggle) or Shift + click (range).
+    // Dragging a selected scene moves the whole selection; prompt cards dragged from the
+    // grid are inserted as new scenes where they are dropped.
+    const ENTRY_DRAG_TYPE = 'application/x-prompt-entry';
+    let draggedSceneIds = null;
+    function toggleSceneSelection(scene, index, range) {
+        if (range && lastSelectedSceneId) {
+            const anchor = storyData.scenes.findIndex(s => s.id === lastSelectedSceneId);
+            const [from, to] = anchor < index ? [anchor, index] : [index, anchor];
+            storyData.scenes.slice(Math.max(from, 0), to + 1).forEach(s => selectedSceneIds.add(s.id));
+        } else if (selectedSceneIds.has(scene.id)) {
+            selectedSceneIds.delete(scene.id);
+        } else {
+            selectedSceneIds.add(scene.id);
+        }
+        lastSelectedSceneId = scene.id;
+        renderStory();
+    }
+    function clearSceneSelection() {
+        selectedSceneIds.clear();
+        lastSelectedSceneId = null;
+    }
+    function renderSceneSelectionBar() {
+        if (!sceneSelectionBar) return;
+        sceneSelectionBar.style.display = selectedSceneIds.size ? 'flex' : 'none';
+        if (sceneSelectionCount) sceneSelectionCount.textContent = `Вибрано сцен: ${selectedSceneIds.size}`;
+    }
+    // Move the scenes with `ids` (keeping their order) to before the scene at `index`
+    function moveScenes(ids, index) {
+        const scenes = storyData.scenes;
+        const moving = scenes.filter(s => ids.includes(s.id));
+        const rest = scenes.filter(s => !ids.includes(s.id));
+        const at = scenes.slice(0, index).filter(s => !ids.includes(s.id)).length;
+        rest.splice(at, 0, ...moving);
+        if (rest.every((s, i) => s === scenes[i])) return;
+        storyData.scenes = rest;
+        saveStory(storyData);
+        renderStory();
+    }
+    // Index of the scene before which a drop at `clientX` lands, among the `items` of a row
+    function sceneDropIndex(items, clientX) {
+        const index = items.findIndex(el => {
+            const rect = el.getBoundingClientRect();
+            return clientX < rect.left + rect.width / 2;
+        });
+        return index === -1 ? items.length : index;
+    }
+    // Mark the drop position on both the cards and the scale, or clear it (index null)
+    function showSceneDropMarker(index) {
+        [storyTimeline, timelineScale].forEach(row => {
+            if (!row) return;
+            const items = [...row.querySelectorAll('.scene-card, .segment')];
+            items.forEach((el, i) => {
+                el.classList.toggle('drop-before', index !== null && i === index);
+                el.classList.toggle('drop-after', index !== null && index === items.length && i === items.length - 1);
+            });
+        });
+    }
+    // The timeline cards and the scale segments both accept drops
+    [[storyTimeline, '.scene-card'], [timelineScale, '.segment']].forEach(([row, selector]) => {
+        if (!row) return;
+        row.addEventListener('dragover', (e) => {
+            const fromGrid = e.dataTransfer.types.includes(ENTRY_DRAG_TYPE);
+            if (!storyData || (!draggedSceneIds && !fromGrid)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = fromGrid ? 'copy' : 'move';
+            showSceneDropMarker(sceneDropIndex([...row.querySelectorAll(selector)], e.clientX));
+        });
+        row.addEventListener('dragleave', (e) => {
+            if (!row.contains(e.relatedTarget)) showSceneDropMarker(null);
+        });
+        row.addEventListener('drop', (e) => {
+            if (!storyData) return;
+            e.preventDefault();
+            showSceneDropMarker(null);
+            const index = sceneDropIndex([...row.querySelectorAll(selector)], e.clientX);
+            const entryId = e.dataTransfer.getData(ENTRY_DRAG_TYPE);
+            if (entryId) {
+                const entry = loadEntries().find(en => en.id === entryId);
+                if (entry) addSceneFromEntry(entry, index);
+            } else if (draggedSceneIds) {
+                moveScenes(draggedSceneIds, index);
+            }
+        });
+    });
+    if (storyTimeline) {
+        storyTimeline.addEventListener('dragstart', (e) => {
+            const card = e.target.closest && e.target.closest('.scene-card');
+            if (!card || !storyData) return;
+            const id = card.dataset.id;
+            draggedSceneIds = selectedSceneIds.has(id)
+                ? storyData.scenes.filter(s => selectedSceneIds.has(s.id)).map(s => s.id)
+                : [id];
+            draggedSceneIds.forEach(sceneId => {
+                const el = storyTimeline.querySelector(`.scene-card[data-id="${CSS.escape(sceneId)}"]`);
+                if (el) el.classList.add('dragging');
+            });
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedSceneIds.join(','));
+        });
+        storyTimeline.addEventListener('dragend', () => {
+            draggedSceneIds = null;
+            showSceneDropMarker(null);
+            storyTimeline.querySelectorAll('.scene-card.dragging').forEach(el => el.classList.remove('dragging'));
+        });
+    }
+    if (deleteSelectedScenesBtn) {
+        deleteSelectedScenesBtn.addEventListener('click', () => {
+            if (!storyData || !selectedSceneIds.size) return;
+            if (!confirm(`Видалити вибрані сцени (${selectedSceneIds.size})?`)) return;
+            storyData.scenes = storyData.scenes.filter(s => !selectedSceneIds.has(s.id));
+            clearSceneSelection();
+            saveStory(storyData);
+            renderStory();
+        });
+    }
+    if (clearSceneSelectionBtn) {
+        clearSceneSelectionBtn.addEventListener('click', () => {
+            clearSceneSelection();
+            renderStory();
+        });
+    }
+    // Prompt grid below the timeline while in story mode, as a source to drag prompts from
+    function updateStoryPromptsPanel() {
+        const show = isStoryMode && storyPromptsShown;
+        if (mainContent) mainContent.classList.toggle('story-with-prompts', show);
+        if (storyPromptsBtn) storyPromptsBtn.classList.toggle('active', show);
+        if (!isStoryMode) return;
+        const searchSection = document.getElementById('search-section');
+        if (searchSection) searchSection.style.display = show ? '' : 'none';
+        if (entriesContainer) entriesContainer.style.display = show ? '' : 'none';
+    }
+    if (storyPromptsBtn) {
+        storyPromptsBtn.addEventListener('click', () => {
+            storyPromptsShown = !storyPromptsShown;
+            updateStoryPromptsPanel();
+        });
+    }
+
+    /* ---------------- Story video render ---------------- */
+    // The server renders the saved story into a video file with ffmpeg; the latest job of the
+    // current story is shown under the story controls and polled while it runs.
+    const VIDEO_RENDER_POLL_MS = 1000;
+    const VIDEO_RENDER_STATUS = { queued: 'У черзі…', running: 'Рендеринг…', done: 'Відео готове', failed: 'Помилка рендерингу' };
+    let videoRenders = [];
+    let videoRenderTimer = null;
+    // Fetch the user's render jobs and show the current story's one; quiet when offline
+    async function refreshVideoRenders() {
+        try {
+            videoRenders = await api.getRenders();
+        } catch (err) {
+            console.error('Failed to load renders:', err);
+        }
+        showVideoRenderStatus();
+    }
+    function showVideoRenderStatus() {
+        if (!videoRenderStatus) return;
+        clearTimeout(videoRenderTimer);
+        videoRenderStatus.innerHTML = '';
+        const job = storyData && videoRenders.find(r => r.storyId === storyData.id);
+        if (renderStoryBtn) renderStoryBtn.disabled = !storyData || (job && (job.status === 'queued' || job.status === 'running'));
+        if (!job) return;
+        const label = document.createElement('span');
+        label.textContent = VIDEO_RENDER_STATUS[job.status] || job.status;
+        videoRenderStatus.appendChild(label);
+        if (job.status === 'queued' || job.status === 'running') {
+            const bar = document.createElement('progress');
+            bar.max = 1;
+            bar.value = job.progress;
+            videoRenderStatus.appendChild(bar);
+            const percent = document.createElement('span');
+            percent.textContent = `${Math.round(job.progress * 100)}%`;
+            videoRenderStatus.appendChild(percent);
+            videoRenderTimer = setTimeout(() => pollVideoRender(job.id), VIDEO_RENDER_POLL_MS);
+        } else if (job.status === 'done') {
+            const link = document.createElement('a');
+            link.href = '#';
+            link.className = 'render-download';
+            link.textContent = `Завантажити ${job.format.toUpperCase()}`;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                downloadVideoRender(job);
+            });
+            videoRenderStatus.appendChild(link);
+        } else if (job.error) {
+            label.textContent += ': ' + job.error;
+            label.className = 'render-error';
+        }
+    }
+    async function pollVideoRender(id) {
+        try {
+            const job = await api.getRender(id);
+            videoRenders = videoRenders.map(r => (r.id === id ? job : r));
+        } catch (err) {
+            // The job is gone after a server restart
+            if (err.status === 404) videoRenders = videoRenders.filter(r => r.id !== id);
+            else console.error('Failed to poll render:', err);
+        }
+        if (isStoryMode) showVideoRenderStatus();
+    }
+    // Videos are fetched with the session token, so the file is saved through a blob link
+    async function downloadVideoRender(job) {
+        const blob = await withSync(() => api.downloadRender(job.id), 'Завантаження відео…');
+        if (!blob) return;
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${job.storyName}.${job.format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+    if (renderStoryBtn) {
+        renderStoryBtn.addEventListener('click', async () => {
+            if (!storyData || !storyData.scenes.length) {
+                alert('В історії немає сцен.');
+                return;
+            }
+            // The server renders what it has stored, so pending edits go first
+            if (!(await pushStory(storyData))) return;
+            const job = await withSync(() => api.renderStory(storyData.id, {
+                format: videoRenderFormat.value,
+                captions: videoRenderCaptions.checked
+            }), 'Запуск рендерингу…');
+            if (!job) return;
+            videoRenders = [job, ...videoRenders.filter(r => r.storyId !== job.storyId)];
+            showVideoRenderStatus();
+        });
+    }
+
+    /* ---------------- Animatic player ---------------- */
+    // Plays the current story from the cached copy: scene images (or placeholders, e.g. when an
+    // image is not available offline) with their video titles, each for its duration. The
+    // scrubber has the same segments as #timelineScale, which shows the playhead too.
+    const animatic = { scenes: [], total: 0, time: 0, index: -1, playing: false, frame: null, last: 0 };
+    function openAnimatic(startIndex = 0) {
+        if (!storyData || !storyData.scenes.length || !animaticModal) return;
+        animatic.scenes = storyTimings(storyData.scenes);
+        animatic.total = animatic.scenes[animatic.scenes.length - 1].end;
+        animatic.index = -1;
+        // Warm the browser cache so scene changes do not wait for the network
+        storyData.scenes.forEach(scene => {
+            if (scene.image) new Image().src = scene.image;
+        });
+        renderTimelineSegments(animaticScrubber, storyData.scenes);
+        animaticScrubber.appendChild(document.createElement('div')).className = 'timeline-playhead';
+        animaticModal.style.display = 'flex';
+        seekAnimatic(animatic.scenes[startIndex] ? animatic.scenes[startIndex].start : 0);
+        playAnimatic();
+    }
+    function closeAnimatic() {
+        if (!animaticModal || animaticModal.style.display !== 'flex') return;
+        pauseAnimatic();
+        animaticModal.style.display = 'none';
+        if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+        const playhead = timelineScale && timelineScale.querySelector('.timeline-playhead');
+        if (playhead) playhead.remove();
+    }
+    function playAnimatic() {
+        if (animatic.playing) return;
+        if (animatic.time >= animatic.total) seekAnimatic(0);
+        animatic.playing = true;
+        animatic.last = performance.now();
+        animatic.frame = requestAnimationFrame(stepAnimatic);
+        animaticPlayBtn.textContent = '❚❚';
+    }
+    function pauseAnimatic() {
+        animatic.playing = false;
+        cancelAnimationFrame(animatic.frame);
+        animaticPlayBtn.textContent = '▶';
+    }
+    function toggleAnimatic() {
+        if (animatic.playing) pauseAnimatic();
+        else playAnimatic();
+    }
+    function stepAnimatic(now) {
+        if (!animatic.playing) return;
+        let time = animatic.time + (now - animatic.last) / 1000;
+        animatic.last = now;
+        if (time >= animatic.total) {
+            if (animaticLoop.checked) {
+                time %= animatic.total;
+            } else {
+                seekAnimatic(animatic.total);
+                pauseAnimatic();
+                return;
+            }
+        }
+        seekAnimatic(time);
+        animatic.frame = requestAnimationFrame(stepAnimatic);
+    }
+    // Show the frame at `time` (seconds from the start)
+    function seekAnimatic(time) {
+        animatic.time = Math.min(Math.max(time, 0), animatic.total);
+        // At the very end the last scene stays on screen
+        let index = animatic.scenes.findIndex(t => animatic.time < t.end);
+        if (index === -1) index = animatic.scenes.length - 1;
+        if (index !== animatic.index) showAnimaticScene(index);
+        const percent = `${(animatic.time / animatic.total) * 100}%`;
+        [animaticScrubber, timelineScale].forEach(bar => {
+            if (!bar) return;
+            let playhead = bar.querySelector('.timeline-playhead');
+            if (!playhead) {
+                playhead = document.createElement('div');
+                playhead.className = 'timeline-playhead';
+                bar.appendChild(playhead);
+            }
+            playhead.style.left = percent;
+        });
+        animaticTime.textContent = `${formatPlaybackTime(animatic.time)} / ${formatPlaybackTime(animatic.total)}`;
+    }
+    function showAnimaticScene(index) {
+        animatic.index = index;
+        const { scene } = animatic.scenes[index];
+        animaticFrame.innerHTML = '';
+        const placeholder = () => createImagePlaceholder(sceneLabel(scene, index), scene.prompt || '');
+        if (scene.image) {
+            const img = document.createElement('img');
+            img.alt = scene.videoTitle || `Сцена ${index + 1}`;
+            // Offline the full image may be missing from the cache while its thumbnail is not
+            img.addEventListener('error', () => {
+                if (scene.thumbnail && img.src !== new URL(scene.thumbnail, location.href).href) {
+                    img.src = scene.thumbnail;
+                } else {
+                    img.replaceWith(placeholder());
+                }
+            });
+            img.src = scene.image;
+            animaticFrame.appendChild(img);
+        } else {
+            animaticFrame.appendChild(placeholder());
+        }
+        animaticTitle.textContent = scene.videoTitle || '';
+        animaticCounter.textContent = `Сцена ${index + 1} / ${animatic.scenes.length}`;
+        animaticScrubber.querySelectorAll('.segment').forEach((seg, i) => seg.classList.toggle('current', i === index));
+    }
+    if (animaticModal) {
+        playStoryBtn.addEventListener('click', () => {
+            // Start from the first selected scene, if any
+            const selected = storyData ? storyData.scenes.findIndex(s => selectedSceneIds.has(s.id)) : -1;
+            openAnimatic(Math.max(selected, 0));
+        });
+        animaticClose.addEventListener('click', closeAnimatic);
+        animaticPlayBtn.addEventListener('click', toggleAnimatic);
+        animaticStage.addEventListener('click', (e) => {
+            if (e.target !== animaticClose) toggleAnimatic();
+        });
+        animaticFullscreenBtn.addEventListener('click', () => {
+            if (document.fullscreenElement) {
+                document.exitFullscreen().catch(() => {});
+            } else if (animaticModal.requestFullscreen) {
+                animaticModal.requestFullscreen().catch(err => console.error('Fullscreen:', err));
+            }
+        });
+        // Scrubbing: press and drag along the bar
+        const scrubTo = (e) => {
+            const rect = animaticScrubber.getBoundingClientRect();
+            seekAnimatic(((e.clientX - rect.left) / rect.width) * animatic.total);
+            animatic.last = performance.now();
+        };
+        animaticScrubber.addEventListener('pointerdown', (e) => {
+            animaticScrubber.setPointerCapture(e.pointerId);
+            scrubTo(e);
+        });
+        animaticScrubber.addEventListener('pointermove', (e) => {
+            if (animaticScrubber.hasPointerCapture(e.pointerId)) scrubTo(e);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (animaticModal.style.display !== 'flex') return;
+            if (e.key === 'Escape') {
+                closeAnimatic();
+            } else if (e.key === ' ') {
+                e.preventDefault();
+                toggleAnimatic();
+            } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                const index = Math.min(Math.max(animatic.index + (e.key === 'ArrowLeft' ? -1 : 1), 0), animatic.scenes.length - 1);
+                seekAnimatic(animatic.scenes[index].start);
+            }
+        });
+    }
+
+    /* ---------------- Storyboard and shot list export ---------------- */
+    // Both are built from the cached story, so they also work offline. The storyboard opens
+    // as a print-optimised page (print it or save it as PDF); the shot list is a CSV file.
+    const STORYBOARD_CSS = `
+        body { font-family: Arial, sans-serif; color: #222; margin: 1.5rem; }
+        h1 { margin: 0 0 0.3rem; font-size: 1.6rem; }
+        .meta { color: #555; font-size: 0.9rem; margin-bottom: 0.8rem; }
+        .scenario { white-space: pre-wrap; border-left: 3px solid #999; padding-left: 0.8rem; margin: 0 0 1.2rem; }
+        .scenes { display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem; }
+        .scene { border: 1px solid #ccc; border-radius: 6px; padding: 0.6rem; break-inside: avoid; page-break-inside: avoid; }
+        .scene img, .scene .no-image { width: 100%; aspect-ratio: 16 / 9; object-fit: cover; background: #eee; display: block; }
+        .scene .no-image { display: flex; align-items: center; justify-content: center; color: #888; }
+        .scene h2 { font-size: 1rem; margin: 0.5rem 0 0.2rem; }
+        .scene .timecode { font-size: 0.8rem; color: #555; }
+        .scene p { font-size: 0.85rem; margin: 0.3rem 0 0; }
+        .scene .label { font-weight: bold; }
+        @page { size: A4; margin: 12mm; }
+        @media print { body { margin: 0; } }
+    `;
+    function storyRuntime(story) {
+        return story.scenes.reduce((sum, scene) => sum + sceneDuration(scene), 0);
+    }
+    // Absolute image URL, as the storyboard page and the CSV are read outside the app
+    function absoluteUrl(url) {
+        return url ? new URL(url, location.href).href : '';
+    }
+    function openStoryboard(story) {
+        const win = window.open('', '_blank');
+        if (!win) {
+            alert('Браузер заблокував нове вікно. Дозвольте спливаючі вікна для цього сайту.');
+            return;
+        }
+        const doc = win.document;
+        doc.title = `${story.name} — розкадровка`;
+        const style = doc.createElement('style');
+        style.textContent = STORYBOARD_CSS;
+        doc.head.appendChild(style);
+        const add = (parent, tag, className, text) => {
+            const el = doc.createElement(tag);
+            if (className) el.className = className;
+            if (text !== undefined) el.textContent = text;
+            parent.appendChild(el);
+            return el;
+        };
+        add(doc.body, 'h1', '', story.name);
+        add(doc.body, 'div', 'meta',
+            `Сцен: ${story.scenes.length} · Загальна тривалість: ${formatPlaybackTime(storyRuntime(story))} · ${new Date().toLocaleDateString()}`);
+        if (story.scenario) add(doc.body, 'p', 'scenario', story.scenario);
+        const grid = add(doc.body, 'div', 'scenes');
+        const images = [];
+        storyTimings(story.scenes).forEach(({ scene, start, end }, index) => {
+            const block = add(grid, 'div', 'scene');
+            if (scene.image) {
+                const img = add(block, 'img');
+                img.src = absoluteUrl(scene.image);
+                img.alt = `Сцена ${index + 1}`;
+                images.push(img);
+            } else {
+                add(block, 'div', 'no-image', 'Без зображення');
+            }
+            add(block, 'h2', '', `Сцена ${index + 1}${scene.videoTitle ? ': ' + scene.videoTitle : ''}`);
+            add(block, 'div', 'timecode',
+                `${formatPlaybackTime(start)} – ${formatPlaybackTime(end)} (${sceneDuration(scene)} с)`);
+            [
+                ['Промпт', scene.prompt],
+                ['Анімація', scene.animationPrompt],
+                ['Камера', scene.cameraMove],
+                ['Закадровий текст', scene.voiceOver],
+                ['Музика / звуки', scene.audioCue],
+                ['Перехід', scene.transition && scene.transition !== 'cut' ? sceneTransitionLabel(scene) : '']
+            ].forEach(([label, text]) => {
+                if (!text) return;
+                const p = add(block, 'p');
+                add(p, 'span', 'label', label + ': ');
+                p.append(text);
+            });
+        });
+        // Print once the images are in, otherwise they are missing from the printout
+        Promise.all(images.map(img => (img.complete ? null : new Promise(resolve => {
+            img.addEventListener('load', resolve);
+            img.addEventListener('error', resolve);
+        })))).then(() => {
+            win.focus();
+            win.print();
+        });
+    }
+    // CSV per RFC 4180 with a BOM, so spreadsheet programs read the Cyrillic text as UTF-8
+    function formatCSV(rows) {
+        const field = value => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return '\uFEFF' + rows.map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+    }
+    // Shot list: a title block with the story, its scenario and runtime, then one row per scene
+    function storyShotList(story) {
+        const rows = [
+            ['Історія', story.name],
+            ['Сценарій', story.scenario || ''],
+            ['Загальна тривалість', formatPlaybackTime(storyRuntime(story))],
+            [],
+            ['№', 'Початок', 'Кінець', 'Тривалість (с)', 'Назва для відео', 'Промпт', 'Промпт для анімації', 'Рух камери',
+                'Перехід', 'Закадровий текст', 'Музика / звуки', 'Хештеги', 'Виконано', 'Зображення']
+        ];
+        storyTimings(story.scenes).forEach(({ scene, start, end }, index) => {
+            rows.push([
+                index + 1,
+                formatPlaybackTime(start),
+                formatPlaybackTime(end),
+                sceneDuration(scene),
+                scene.videoTitle,
+                scene.prompt,
+                scene.animationPrompt,
+                scene.cameraMove,
+                sceneTransitionLabel(scene),
+                scene.voiceOver,
+                scene.audioCue,
+                (scene.tags || []).map(tag => '#' + tag).join(' '),
+                scene.done ? 'так' : 'ні',
+                absoluteUrl(scene.image)
+            ]);
+        });
+        return formatCSV(rows);
+    }
+    if (printStoryboardBtn) {
+        printStoryboardBtn.addEventListener('click', () => {
+            if (storyData) openStoryboard(storyData);
+        });
+    }
+    if (exportShotListBtn) {
+        exportShotListBtn.addEventListener('click', () => {
+            if (!storyData) return;
+            const blob = new Blob([storyShotList(storyData)], { type: 'text/csv;charset=utf-8' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${storyData.name.replace(/[\\/:*?"<>|]+/g, '_')}-shot-list.csv`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        });
+    }
+
     // Add scene button handler
     if (addSceneBtn) {
         addSceneBtn.addEventListener('click', () => {
@@ -1169,10 +3822,229 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    /* ---------------- Version history ---------------- */
+    // Word-level diff of two texts: longest common subsequence over words (with their trailing
+    // whitespace). Returns [{ type: 'same' | 'added' | 'removed', text }].
+    function diffWords(oldText, newText) {
+        const a = oldText.match(/^\s+|\S+\s*/g) || [];
+        const b = newText.match(/^\s+|\S+\s*/g) || [];
+        // lengths[i][j]: length of the common subsequence of a[i..] and b[j..]
+        const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        const parts = [];
+        const push = (type, text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                parts.push({ type, text });
+            }
+        };
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push('same', a[i++]);
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                push('removed', a[i++]);
+            } else {
+                push('added', b[j++]);
+            }
+        }
+        while (i < a.length) push('removed', a[i++]);
+        while (j < b.length) push('added', b[j++]);
+        return parts;
+    }
+    function formatRevisionDate(iso) {
+        return iso ? new Date(iso).toLocaleString('uk-UA') : 'невідомо';
+    }
+    // Differences between a revision and the current entry, as DOM nodes
+    function renderRevisionDiff(revision, entry, container) {
+        container.innerHTML = '';
+        const heading = document.createElement('h4');
+        heading.textContent = `Зміни з версії від ${formatRevisionDate(revision.createdAt)} до поточної`;
+        container.appendChild(heading);
+        if (revision.generator !== entry.generator) {
+            const gen = document.createElement('p');
+            gen.textContent = `Генератор: ${revision.generator} → ${entry.generator}`;
+            container.appendChild(gen);
+        }
+        const diff = document.createElement('p');
+        diff.className = 'revision-diff';
+        diffWords(revision.prompt, entry.prompt).forEach(part => {
+            const span = document.createElement('span');
+            if (part.type !== 'same') span.className = 'diff-' + part.type;
+            span.textContent = part.text;
+            diff.appendChild(span);
+        });
+        container.appendChild(diff);
+        const oldTags = revision.tags || [];
+        const newTags = entry.tags || [];
+        const removedTags = oldTags.filter(t => !newTags.includes(t));
+        const addedTags = newTags.filter(t => !oldTags.includes(t));
+        if (removedTags.length || addedTags.length) {
+            const tags = document.createElement('p');
+            removedTags.forEach(t => {
+                const span = document.createElement('span');
+                span.className = 'diff-removed';
+                span.textContent = `#${t} `;
+                tags.appendChild(span);
+            });
+            addedTags.forEach(t => {
+                const span = document.createElement('span');
+                span.className = 'diff-added';
+                span.textContent = `#${t} `;
+                tags.appendChild(span);
+            });
+            container.appendChild(tags);
+        }
+        const oldParams = formatParams(revision).join(' · ');
+        const newParams = formatParams(entry).join(' · ');
+        if (oldParams !== newParams) {
+            const params = document.createElement('p');
+            params.textContent = `Параметри: ${oldParams || '—'} → ${newParams || '—'}`;
+            container.appendChild(params);
+        }
+        const oldImages = (revision.images || []).map(img => img.url);
+        const newImages = entryImages(entry).map(img => img.url);
+        if (oldImages.join() !== newImages.join() || revision.image !== entry.image) {
+            const images = document.createElement('p');
+            images.textContent = `Зображення: ${oldImages.length} → ${newImages.length}` +
+                (revision.image !== entry.image ? ', інша обкладинка' : '');
+            container.appendChild(images);
+        }
+    }
+    // Version history panel of the entry modal: earlier versions (newest first), a word diff
+    // of the selected one against the current version, and restore / fork actions
+    async function showRevisions(entry, container) {
+        container.innerHTML = '';
+        const status = document.createElement('p');
+        status.textContent = 'Завантаження…';
+        container.appendChild(status);
+        let revisions;
+        try {
+            revisions = await api.getRevisions(entry.id);
+            cacheRevisions(entry.id, revisions);
+        } catch (err) {
+            if (err.status === 401) return;
+            revisions = loadRevisions(entry.id);
+            if (!revisions) {
+                status.textContent = err.offline ? 'Історія недоступна офлайн.' : 'Помилка: ' + err.message;
+                return;
+            }
+        }
+        if (!revisions.length) {
+            status.textContent = 'Попередніх версій немає.';
+            return;
+        }
+        container.innerHTML = '';
+        const list = document.createElement('ul');
+        list.className = 'revision-list';
+        const details = document.createElement('div');
+        details.className = 'revision-details';
+        const select = (revision, li) => {
+            list.querySelectorAll('li').forEach(item => item.classList.toggle('active', item === li));
+            renderRevisionDiff(revision, entry, details);
+            const actions = document.createElement('div');
+            actions.className = 'modal-buttons';
+            const restoreBtn = document.createElement('button');
+            restoreBtn.textContent = 'Відновити цю версію';
+            restoreBtn.addEventListener('click', async () => {
+                const updated = await withSync(() => api.restoreRevision(entry.id, revision.id), 'Відновлення…');
+                if (!updated) return;
+                cacheEntry(updated);
+                renderEntries();
+                openModal(updated);
+            });
+            actions.appendChild(restoreBtn);
+            const forkBtn = document.createElement('button');
+            forkBtn.textContent = 'Новий промпт з цієї версії';
+            forkBtn.addEventListener('click', async () => {
+                const fork = await withSync(() => api.forkRevision(entry.id, revision.id));
+                if (!fork) return;
+                cacheEntry(fork);
+                renderEntries();
+                openModal(fork);
+            });
+            actions.appendChild(forkBtn);
+            details.appendChild(actions);
+        };
+        revisions.forEach((revision, idx) => {
+            const li = document.createElement('li');
+            const date = document.createElement('strong');
+            date.textContent = formatRevisionDate(revision.createdAt);
+            li.appendChild(date);
+            const excerpt = document.createElement('span');
+            excerpt.textContent = revision.prompt.length > 80 ? revision.prompt.slice(0, 80) + '…' : revision.prompt;
+            li.appendChild(excerpt);
+            li.addEventListener('click', () => select(revision, li));
+            list.appendChild(li);
+            if (idx === 0) select(revision, li);
+        });
+        container.appendChild(list);
+        container.appendChild(details);
+    }
+
     /* ---------------- Modal ---------------- */
+    // Full-size image in the modal; without one only the details are shown
+    function setModalImage(url) {
+        modal.classList.toggle('no-image', !url);
+        if (url) {
+            modalImg.src = url;
+        } else {
+            modalImg.removeAttribute('src');
+        }
+    }
+    // Show image `index` of the modal gallery (wraps around at both ends)
+    function showGalleryImage(index) {
+        if (!modalGallery) return;
+        const count = modalGallery.images.length;
+        modalGallery.index = (index + count) % count;
+        setModalImage(modalGallery.images[modalGallery.index].url);
+        if (galleryStrip) {
+            [...galleryStrip.children].forEach((thumb, i) => thumb.classList.toggle('active', i === modalGallery.index));
+        }
+    }
+    // Gallery controls are only shown for entries with more than one image
+    function setGallery(images, startUrl) {
+        const multiple = images.length > 1;
+        modalGallery = multiple ? { images, index: 0 } : null;
+        modal.classList.toggle('has-gallery', multiple);
+        if (galleryStrip) {
+            galleryStrip.innerHTML = '';
+            if (multiple) {
+                images.forEach((image, i) => {
+                    const thumb = document.createElement('img');
+                    setThumbnail(thumb, { image: image.url, thumbnail: image.thumbnail });
+                    thumb.alt = `Зображення ${i + 1}`;
+                    thumb.addEventListener('click', () => showGalleryImage(i));
+                    galleryStrip.appendChild(thumb);
+                });
+            }
+        }
+        if (multiple) showGalleryImage(Math.max(0, images.findIndex(img => img.url === startUrl)));
+    }
+    galleryPrev && galleryPrev.addEventListener('click', () => showGalleryImage(modalGallery.index - 1));
+    galleryNext && galleryNext.addEventListener('click', () => showGalleryImage(modalGallery.index + 1));
+    document.addEventListener('keydown', (e) => {
+        if (!modalGallery || modal.style.display !== 'block') return;
+        if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            showGalleryImage(modalGallery.index - 1);
+        } else if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            showGalleryImage(modalGallery.index + 1);
+        }
+    });
     function openModal(entry) {
         modal.style.display = 'block';
-        modalImg.src = entry.image;
+        setModalImage(entry.image);
+        setGallery(entryImages(entry), entry.image);
         modalDetails.innerHTML = '';
         // Generator title
         const gen = document.createElement('h3');
@@ -1180,8 +4052,16 @@ document.addEventListener('DOMContentLoaded', () => {
         modalDetails.appendChild(gen);
         // Full prompt
         const p = document.createElement('p');
-        p.textContent = entry.prompt;
+        setHighlightedText(p, entry.prompt);
         modalDetails.appendChild(p);
+        // Prompt with parameters, as copied
+        const fullPrompt = buildFullPrompt(entry);
+        if (fullPrompt !== entry.prompt) {
+            const pre = document.createElement('pre');
+            pre.className = 'full-prompt';
+            pre.textContent = fullPrompt;
+            modalDetails.appendChild(pre);
+        }
         // Tags
         if (Array.isArray(entry.tags) && entry.tags.length > 0) {
             const tagCont = document.createElement('div');
@@ -1189,17 +4069,42 @@ document.addEventListener('DOMContentLoaded', () => {
             entry.tags.forEach(tag => {
                 const span = document.createElement('span');
                 span.className = 'tag';
+                if (isSearchTag(tag)) span.classList.add('match');
                 span.textContent = `#${tag}`;
                 span.addEventListener('click', () => {
-                    searchInput.value = tag;
-                    searchTerm = tag;
-                    renderEntries();
+                    searchInput.value = tagQuery(tag);
+                    setSearchTerm(searchInput.value);
+                    reloadEntries();
                     closeModal();
                 });
                 tagCont.appendChild(span);
             });
             modalDetails.appendChild(tagCont);
         }
+        // Boards the entry is on; ticking a board adds the entry to its end
+        if (boards.length) {
+            const boardsDiv = document.createElement('div');
+            boardsDiv.className = 'modal-boards';
+            const caption = document.createElement('span');
+            caption.textContent = 'Дошки:';
+            boardsDiv.appendChild(caption);
+            boards.forEach(board => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = board.entryIds.includes(entry.id);
+                checkbox.addEventListener('change', async () => {
+                    checkbox.disabled = true;
+                    const ok = await setEntryOnBoard(board, entry.id, checkbox.checked);
+                    if (!ok) checkbox.checked = !checkbox.checked;
+                    checkbox.disabled = false;
+                });
+                label.appendChild(checkbox);
+                label.append(' ' + board.name);
+                boardsDiv.appendChild(label);
+            });
+            modalDetails.appendChild(boardsDiv);
+        }
         // Buttons
         const btnCont = document.createElement('div');
         btnCont.className = 'modal-buttons';
@@ -1207,11 +4112,20 @@ document.addEventListener('DOMContentLoaded', () => {
         const copy = document.createElement('button');
         copy.textContent = 'Копіювати';
         copy.addEventListener('click', () => {
-            navigator.clipboard.writeText(entry.prompt).then(() => {
+            navigator.clipboard.writeText(buildFullPrompt(entry)).then(() => {
                 alert('Промпт скопійовано в буфер обміну');
             });
         });
         btnCont.appendChild(copy);
+        if (entry.isTemplate) {
+            const useTemplate = document.createElement('button');
+            useTemplate.textContent = 'Використати шаблон';
+            useTemplate.addEventListener('click', () => {
+                closeModal();
+                openTemplateModal(entry);
+            });
+            btnCont.appendChild(useTemplate);
+        }
         // Edit
         const edit = document.createElement('button');
         edit.textContent = 'Редагувати';
@@ -1220,6 +4134,19 @@ document.addEventListener('DOMContentLoaded', () => {
             startEdit(entry.id);
         });
         btnCont.appendChild(edit);
+        // Version history
+        const historyPanel = document.createElement('div');
+        historyPanel.className = 'revision-panel';
+        const history = document.createElement('button');
+        history.textContent = 'Історія версій';
+        history.addEventListener('click', () => {
+            if (historyPanel.childElementCount) {
+                historyPanel.innerHTML = '';
+            } else {
+                showRevisions(entry, historyPanel);
+            }
+        });
+        btnCont.appendChild(history);
         // Delete
         const del = document.createElement('button');
         del.textContent = 'Видалити';
@@ -1229,10 +4156,12 @@ document.addEventListener('DOMContentLoaded', () => {
         });
         btnCont.appendChild(del);
         modalDetails.appendChild(btnCont);
+        modalDetails.appendChild(historyPanel);
     }
     function closeModal() {
         modal.style.display = 'none';
-        modalImg.src = '';
+        setModalImage('');
+        setGallery([]);
         modalDetails.innerHTML = '';
     }
     modalClose && modalClose.addEventListener('click', closeModal);
@@ -1242,6 +4171,126 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    /* ---------------- Admin panel ---------------- */
+    // Show admin panel only for users with the admin role
+    function updateAdminPanel() {
+        if (currentRole === 'admin') {
+            adminPanel.style.display = 'block';
+            renderAdminCategories();
+            renderAdminUsers();
+            renderAdminBackups();
+        } else {
+            adminPanel.style.display = 'none';
+        }
+    }
+
+    /* ---------------- Admin user management ---------------- */
+    async function renderAdminUsers() {
+        if (!adminUserList) return;
+        let users;
+        try {
+            users = await api.getUsers();
+        } catch (err) {
+            console.error('Failed to load users:', err);
+            adminUserList.innerHTML = '';
+            const li = document.createElement('li');
+            li.textContent = 'Не вдалося завантажити користувачів.';
+            adminUserList.appendChild(li);
+            return;
+        }
+        adminUserList.innerHTML = '';
+        users.forEach(user => {
+            const li = document.createElement('li');
+            if (user.disabled) li.classList.add('disabled');
+            const span = document.createElement('span');
+            span.textContent = user.username;
+            if (user.role === 'admin') {
+                const badge = document.createElement('small');
+                badge.className = 'role-badge';
+                badge.textContent = 'admin';
+                span.appendChild(badge);
+            }
+            li.appendChild(span);
+            // Admins cannot change their own account (the server refuses it as well)
+            if (user.username !== currentUser) {
+                const actions = document.createElement('div');
+                actions.className = 'admin-actions';
+                // Promote / demote
+                const roleBtn = document.createElement('button');
+                roleBtn.textContent = user.role === 'admin' ? 'Зняти адміна' : 'Зробити адміном';
+                roleBtn.addEventListener('click', async () => {
+                    const role = user.role === 'admin' ? 'user' : 'admin';
+                    const updated = await withSync(() => api.updateUser(user.username, { role }));
+                    if (updated) renderAdminUsers();
+                });
+                actions.appendChild(roleBtn);
+                // Disable / enable
+                const disableBtn = document.createElement('button');
+                disableBtn.textContent = user.disabled ? 'Розблокувати' : 'Заблокувати';
+                disableBtn.addEventListener('click', async () => {
+                    if (!user.disabled && !confirm(`Заблокувати користувача ${user.username}?`)) return;
+                    const updated = await withSync(() => api.updateUser(user.username, { disabled: !user.disabled }));
+                    if (updated) renderAdminUsers();
+                });
+                actions.appendChild(disableBtn);
+                li.appendChild(actions);
+            }
+            adminUserList.appendChild(li);
+        });
+    }
+
+    /* ---------------- Admin backups ---------------- */
+    async function renderAdminBackups() {
+        if (!adminBackupList) return;
+        let backups;
+        try {
+            backups = await api.getBackups();
+        } catch (err) {
+            console.error('Failed to load backups:', err);
+            adminBackupList.innerHTML = '';
+            const li = document.createElement('li');
+            li.textContent = 'Не вдалося завантажити резервні копії.';
+            adminBackupList.appendChild(li);
+            return;
+        }
+        adminBackupList.innerHTML = '';
+        if (!backups.length) {
+            const li = document.createElement('li');
+            li.textContent = 'Поки що немає копій.';
+            adminBackupList.appendChild(li);
+            return;
+        }
+        backups.forEach(backup => {
+            const li = document.createElement('li');
+            const span = document.createElement('span');
+            span.textContent = new Date(backup.createdAt).toLocaleString();
+            const size = document.createElement('small');
+            size.textContent = `${(backup.size / 1024).toFixed(0)} КБ · ${backup.name}`;
+            span.appendChild(size);
+            li.appendChild(span);
+            const actions = document.createElement('div');
+            actions.className = 'admin-actions';
+            const restoreBtn = document.createElement('button');
+            restoreBtn.textContent = 'Відновити';
+            restoreBtn.addEventListener('click', async () => {
+                if (!confirm('Відновити базу даних з цієї копії? Поточний стан буде збережено окремою копією.')) return;
+                const result = await withSync(() => api.restoreBackup(backup.name), 'Відновлення…');
+                if (!result) return;
+                alert('Базу даних відновлено.');
+                refreshData();
+            });
+            actions.appendChild(restoreBtn);
+            li.appendChild(actions);
+            adminBackupList.appendChild(li);
+        });
+    }
+    if (createBackupBtn) {
+        createBackupBtn.addEventListener('click', async () => {
+            const result = await withSync(() => api.createBackup(), 'Створення копії…');
+            if (result) renderAdminBackups();
+        });
+    }
+
     /* ---------------- Admin category management ---------------- */
     function renderAdminCategories() {
         adminCategoryList.innerHTML = '';
@@ -1255,61 +4304,94 @@ document.addEventListener('DOMContentLoaded', () => {
             // Rename
             const renameBtn = document.createElement('button');
             renameBtn.textContent = 'Перейменувати';
-            renameBtn.addEventListener('click', () => {
+            renameBtn.addEventListener('click', async () => {
                 const newName = prompt('Нове імʼя для категорії', cat);
                 if (!newName) return;
                 if (categories.includes(newName)) {
                     alert('Категорія з таким імʼям вже існує.');
                     return;
                 }
-                const idx = categories.indexOf(cat);
-                if (idx !== -1) {
-                    categories[idx] = newName;
-                    saveCategories(categories);
-                    // Update entries for current user
-                    const entries = loadEntries();
-                    entries.forEach(entry => {
-                        if (entry.generator === cat) entry.generator = newName;
-                    });
-                    saveEntries(entries);
-                    renderCategorySelect();
-                    renderCategories();
-                    renderEntries();
-                    renderAdminCategories();
-                }
+                const updated = await withSync(() => api.renameCategory(cat, newName));
+                if (!updated) return;
+                if (currentCategory === cat) currentCategory = newName;
+                // The server also moved entries to the new name, so pull both again
+                refreshData();
             });
             actions.appendChild(renameBtn);
             // Delete
             const delBtn = document.createElement('button');
             delBtn.textContent = 'Видалити';
-            delBtn.addEventListener('click', () => {
+            delBtn.addEventListener('click', async () => {
                 if (!confirm('Ви впевнені, що хочете видалити цю категорію?')) return;
                 if (categories.length === 1) {
                     alert('Не можна видалити усі категорії.');
                     return;
                 }
-                const idx = categories.indexOf(cat);
-                if (idx !== -1) {
-                    categories.splice(idx, 1);
-                    saveCategories(categories);
-                    const entries = loadEntries();
-                    entries.forEach(entry => {
-                        if (entry.generator === cat) entry.generator = 'Other';
-                    });
-                    saveEntries(entries);
-                    renderCategorySelect();
-                    renderCategories();
-                    renderEntries();
-                    renderAdminCategories();
-                }
+                const updated = await withSync(() => api.deleteCategory(cat), 'Видалення…');
+                if (!updated) return;
+                if (currentCategory === cat) currentCategory = 'All';
+                // Entries of the removed category were moved to 'Other' on the server
+                refreshData();
             });
             actions.appendChild(delBtn);
+            // Parameter schema, edited as JSON
+            const schemaBtn = document.createElement('button');
+            schemaBtn.textContent = 'Параметри';
+            schemaBtn.addEventListener('click', () => {
+                const open = li.querySelector('.schema-editor');
+                if (open) {
+                    open.remove();
+                } else {
+                    li.appendChild(createSchemaEditor(cat));
+                }
+            });
+            actions.appendChild(schemaBtn);
             li.appendChild(actions);
             adminCategoryList.appendChild(li);
         });
     }
+    // JSON editor for a category's parameter schema: { syntax: 'flags' | 'labels', fields: [...] }
+    function createSchemaEditor(cat) {
+        const editor = document.createElement('div');
+        editor.className = 'schema-editor';
+        const textarea = document.createElement('textarea');
+        textarea.rows = 10;
+        textarea.spellcheck = false;
+        textarea.value = JSON.stringify(categorySchemas[cat] || { syntax: 'labels', fields: [] }, null, 2);
+        editor.appendChild(textarea);
+        const applySchemas = (schemas) => {
+            categorySchemas = schemas;
+            saveCategorySchemas(categorySchemas);
+            renderParamFields(collectParams());
+            renderEntries();
+            editor.remove();
+        };
+        const saveBtn = document.createElement('button');
+        saveBtn.textContent = 'Зберегти';
+        saveBtn.addEventListener('click', async () => {
+            let schema;
+            try {
+                schema = JSON.parse(textarea.value);
+            } catch (e) {
+                alert('Некоректний JSON: ' + e.message);
+                return;
+            }
+            const schemas = await withSync(() => api.setCategorySchema(cat, schema));
+            if (schemas) applySchemas(schemas);
+        });
+        editor.appendChild(saveBtn);
+        const clearBtn = document.createElement('button');
+        clearBtn.textContent = 'Без параметрів';
+        clearBtn.addEventListener('click', async () => {
+            if (!confirm(`Прибрати параметри категорії «${cat}»?`)) return;
+            const schemas = await withSync(() => api.setCategorySchema(cat, null));
+            if (schemas) applySchemas(schemas);
+        });
+        editor.appendChild(clearBtn);
+        return editor;
+    }
     if (addCategoryForm) {
-        addCategoryForm.addEventListener('submit', (e) => {
+        addCategoryForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             const newCat = newCategoryInput.value.trim();
             if (!newCat) return;
@@ -1317,7 +4399,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 alert('Категорія вже існує.');
                 return;
             }
-            categories.push(newCat);
+            const updated = await withSync(() => api.addCategory(newCat));
+            if (!updated) return;
+            categories = updated;
             saveCategories(categories);
             newCategoryInput.value = '';
             renderCategorySelect();
@@ -1325,4 +4409,12 @@ document.addEventListener('DOMContentLoaded', () => {
             renderAdminCategories();
         });
     }
+
+    /* ---------------- Initial view ---------------- */
+    // Last, so every constant and handler above is initialised before the first render
+    if (currentUser) {
+        showApp();
+    } else {
+        showLogin();
+    }
 });
\ No newline at end of file
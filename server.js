@@ -2,50 +2,352 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { spawn } = require('child_process');
+const multer = require('multer');
+const sharp = require('sharp');
+const AdmZip = require('adm-zip');
 const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+// Search query language, shared with the browser
+const { parseQuery, matchQuery, entryDocument } = require('./public/query');
 
 /*
- * Simple JSON-based backend for AI Prompt Storage.
- * Provides endpoints for user signup/login, category management, and prompt CRUD operations.
- * Data is stored in a JSON file on disk. This is a lightweight demonstration backend and
- * not intended for production use without enhancements like password hashing and authentication.
+ * Simple backend for AI Prompt Storage.
+ * Provides endpoints for user signup/login, category management, prompt CRUD operations,
+ * per-user stories (story mode timelines), saved searches, boards (hand-ordered sets of entries)
+ * and a materials library shared within the team.
+ * Data is stored in SQLite through storage.js; an existing db.json from older versions
+ * is imported once on startup, and timestamped snapshots are kept in BACKUP_DIR. Passwords are stored as salted scrypt hashes and
+ * every API route except signup/login requires a session token issued at login.
+ * Users have a `role` ('admin' or 'user'); admin routes are guarded by requireAdmin.
+ * The first signup on an empty database is the admin; otherwise ADMIN_USER promotes one on start.
+ * Images are stored as files under content-hash names and referenced by URL; each image
+ * also gets a small WebP thumbnail for card grids.
+ * Each user can export their library as a ZIP (manifest.json + images/) and import it back.
+ * Entry search (GET /api/entries?q=) uses the query language in public/query.js.
+ * Stories can be rendered into MP4/WebM slideshows by ffmpeg (FFMPEG_PATH) in the background.
  */
 
-const DB_FILE = './db.json';
+const DB_FILE = './db.sqlite';
+// JSON database of older versions, imported into DB_FILE on first start
+const LEGACY_DB_FILE = './db.json';
+const BACKUP_DIR = './backups';
+// Automatic snapshot interval and how many snapshots are kept
+const BACKUP_INTERVAL_MS = 60 * 60 * 1000;
+const BACKUP_KEEP = 24;
+const UPLOAD_DIR = './uploads';
+const THUMB_DIR = path.join(UPLOAD_DIR, 'thumbs');
+// Maximum size of a single uploaded image
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+// Thumbnails fit inside a THUMB_SIZE x THUMB_SIZE box (cards are ~300px wide, doubled for HiDPI)
+const THUMB_SIZE = 480;
+// How long a session token stays valid after login
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Maximum size of an uploaded library archive
+const MAX_ARCHIVE_BYTES = 200 * 1024 * 1024;
+// Rendered story videos; jobs do not survive a restart, so leftovers are removed on start
+const RENDER_DIR = './renders';
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+// Font for burnt-in captions; without it ffmpeg asks fontconfig for a default font
+const RENDER_FONT = process.env.RENDER_FONT || '';
+const RENDER_SIZE = [1280, 720];
+const RENDER_FPS = 25;
+// Seconds a scene without a duration is shown (same as on the client)
+const DEFAULT_SCENE_DURATION = 3;
+// Limits of a rendered story, so one job cannot hold the shared render queue for hours
+const MAX_RENDER_SCENE_SECONDS = 60;
+const MAX_RENDER_SECONDS = 30 * 60;
+const MAX_RENDER_SCENES = 500;
 
-// Initialize or load database
-let db = { users: [], categories: ['MidJourney', 'Sora', 'Leonardo AI', 'VEO3', 'Other'], entries: [] };
-function loadDB() {
-  if (fs.existsSync(DB_FILE)) {
-    try {
-      const content = fs.readFileSync(DB_FILE, 'utf8');
-      db = JSON.parse(content);
-    } catch (e) {
-      console.error('Failed to load DB:', e);
-    }
+// Open the database; a legacy db.json that cannot be parsed stops the server here
+const db = storage.open(DB_FILE);
+if (fs.existsSync(LEGACY_DB_FILE)) {
+  let imported;
+  try {
+    imported = storage.importJSON(db, LEGACY_DB_FILE);
+  } catch (e) {
+    console.error(`Cannot import ${LEGACY_DB_FILE}: ${e.message}. Fix or move the file and restart.`);
+    process.exit(1);
+  }
+  if (imported) {
+    fs.renameSync(LEGACY_DB_FILE, LEGACY_DB_FILE + '.imported');
+    console.log(`Imported ${LEGACY_DB_FILE} into ${DB_FILE}`);
   } else {
-    saveDB();
+    console.warn(`Ignoring ${LEGACY_DB_FILE}: ${DB_FILE} already has data`);
+  }
+}
+// Installations upgraded without an administrator get one explicitly: ADMIN_USER names an
+// existing account to promote on start. Signup never grants the role outside a fresh install.
+if (process.env.ADMIN_USER) {
+  const admin = db.users.get(process.env.ADMIN_USER);
+  if (!admin) {
+    console.warn(`ADMIN_USER: no user named "${process.env.ADMIN_USER}"`);
+  } else if (admin.role !== 'admin') {
+    admin.role = 'admin';
+    db.users.update(admin);
+    console.log(`Promoted ${admin.username} to admin (ADMIN_USER)`);
+  }
+} else if (db.users.count() && !db.users.count("role = 'admin'")) {
+  console.warn('No admin account: restart with ADMIN_USER=<username> to promote one');
+}
+
+/* ---------------- Backups ---------------- */
+// Snapshot names: db-<ISO timestamp with ':' and '.' replaced>[-label].sqlite
+const BACKUP_NAME_RE = /^db-[0-9TZ-]+?(-[a-z]+)?\.sqlite$/;
+// Snapshots, newest first
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(name => BACKUP_NAME_RE.test(name))
+    .sort()
+    .reverse()
+    .map(name => {
+      const stat = fs.statSync(path.join(BACKUP_DIR, name));
+      return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+    });
+}
+// Write a new snapshot and drop the oldest ones beyond BACKUP_KEEP. Resolves to its name.
+async function createBackup(label) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = `db-${stamp}${label ? '-' + label : ''}.sqlite`;
+  await db.backup(path.join(BACKUP_DIR, name));
+  listBackups().slice(BACKUP_KEEP).forEach(old => fs.rmSync(path.join(BACKUP_DIR, old.name)));
+  return name;
+}
+function scheduledBackup() {
+  createBackup().catch(e => console.error('Backup failed:', e));
+}
+
+/* ---------------- Image storage ---------------- */
+// Accepted image types and the extension their files get
+const IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp' };
+const DATA_URL_RE = /^data:(image\/[a-z+.-]+);base64,(.*)$/s;
+// Write image bytes to UPLOAD_DIR as <sha256>.<ext> and return the public URL.
+// Identical images share a single file.
+function storeImage(buffer, mimetype) {
+  const ext = IMAGE_TYPES[mimetype];
+  if (!ext) {
+    const err = new Error('Unsupported image type');
+    err.status = 400;
+    throw err;
+  }
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const filename = `${hash}.${ext}`;
+  const filePath = path.join(UPLOAD_DIR, filename);
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    fs.writeFileSync(filePath, buffer);
   }
+  return `/uploads/${filename}`;
 }
-function saveDB() {
-  fs.writeFileSync(DB_FILE, JSON.stringify(db, null, 2));
+// Turn a base64 data URL into a stored file URL; any other value is returned unchanged
+function storeDataUrl(value) {
+  const match = typeof value === 'string' && value.match(DATA_URL_RE);
+  if (!match) return value;
+  return storeImage(Buffer.from(match[2], 'base64'), match[1]);
+}
+// Thumbnail URL for a stored image URL (/uploads/<hash>.<ext> -> /uploads/thumbs/<hash>.webp),
+// or null for anything that is not a stored image
+function thumbnailUrl(url) {
+  const match = typeof url === 'string' && url.match(/^\/uploads\/([0-9a-f]{64})\.[a-z]+$/);
+  return match ? `/uploads/thumbs/${match[1]}.webp` : null;
+}
+// Resize a stored image into its thumbnail file. Resolves to the thumbnail URL, or null
+// when the image cannot be read.
+async function createThumbnail(url) {
+  const thumbUrl = thumbnailUrl(url);
+  if (!thumbUrl) return null;
+  const thumbPath = path.join(THUMB_DIR, path.basename(thumbUrl));
+  if (fs.existsSync(thumbPath)) return thumbUrl;
+  try {
+    fs.mkdirSync(THUMB_DIR, { recursive: true });
+    await sharp(path.join(UPLOAD_DIR, path.basename(url)))
+      .resize(THUMB_SIZE, THUMB_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toFile(thumbPath);
+    return thumbUrl;
+  } catch (e) {
+    console.error(`Failed to create thumbnail for ${url}:`, e.message);
+    return null;
+  }
+}
+// Thumbnail for an image referenced by an entry or scene. The URL is returned at once;
+// the file is generated in the background if it does not exist yet.
+function thumbnailFor(url) {
+  const thumbUrl = thumbnailUrl(url);
+  if (thumbUrl) createThumbnail(url);
+  return thumbUrl || undefined;
+}
+// Migration: create thumbnails for stored images that have none, one at a time
+async function backfillThumbnails() {
+  const missing = (item) => item.image && !item.thumbnail && thumbnailUrl(item.image);
+  for (const entry of db.entries.where("thumbnail IS NULL AND image LIKE '/uploads/%'")) {
+    const thumbUrl = await createThumbnail(entry.image);
+    // Re-read: the entry may have changed while the thumbnail was being made
+    const current = db.entries.get(entry.id);
+    if (thumbUrl && current && current.image === entry.image) {
+      current.thumbnail = thumbUrl;
+      current.images.forEach(img => {
+        if (img.url === entry.image) img.thumbnail = thumbUrl;
+      });
+      db.entries.update(current);
+    }
+  }
+  for (const story of db.stories.all().filter(st => st.scenes.some(missing))) {
+    for (const scene of story.scenes.filter(missing)) {
+      await createThumbnail(scene.image);
+    }
+    const current = db.stories.get(story.id);
+    if (!current) continue;
+    current.scenes.forEach(scene => {
+      if (missing(scene)) scene.thumbnail = thumbnailUrl(scene.image);
+    });
+    db.stories.update(current);
+  }
+}
+// Migration: move base64 images still embedded in entries and story scenes out to files
+function extractInlineImages() {
+  // Stored URLs of moved images; a cover also appears in its entry's image list
+  const moved = new Set();
+  const extract = (item, field = 'image') => {
+    const url = storeDataUrl(item[field]);
+    if (url === item[field]) return false;
+    item[field] = url;
+    moved.add(url);
+    return true;
+  };
+  db.transaction(() => {
+    db.entries.where("image LIKE 'data:%' OR images LIKE '%data:image%'").forEach(entry => {
+      const changed = [extract(entry), ...entry.images.map(img => extract(img, 'url'))];
+      if (changed.some(Boolean)) db.entries.update(entry);
+    });
+    db.stories.where("scenes LIKE '%data:image%'").forEach(story => {
+      if (story.scenes.map(extract).some(Boolean)) db.stories.update(story);
+    });
+  });
+  if (moved.size) console.log(`Moved ${moved.size} inline image(s) from ${DB_FILE} to ${UPLOAD_DIR}`);
 }
 
-loadDB();
+extractInlineImages();
+backfillThumbnails();
+scheduledBackup();
+fs.rmSync(RENDER_DIR, { recursive: true, force: true });
+fs.mkdirSync(RENDER_DIR, { recursive: true });
+setInterval(scheduledBackup, BACKUP_INTERVAL_MS).unref();
 
 const app = express();
 app.use(cors());
+// Images are uploaded separately; the limit still allows base64 images from older clients,
+// which are converted to files on arrival
 app.use(bodyParser.json({ limit: '10mb' }));
 // Serve static frontend from public folder
 app.use(express.static('public'));
+// Uploaded images never change under the same name, so they can be cached forever
+app.use('/uploads', express.static(UPLOAD_DIR, { immutable: true, maxAge: '1y' }));
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES },
+  fileFilter: (req, file, cb) => cb(null, !!IMAGE_TYPES[file.mimetype])
+});
 
 // Helper: find user by username
 function findUser(username) {
-  return db.users.find(u => u.username === username);
+  return typeof username === 'string' ? db.users.get(username) : undefined;
+}
+
+/* ---------------- Passwords and sessions ---------------- */
+// Secret for signing session tokens. Set SESSION_SECRET in production; otherwise a random
+// secret is generated once and kept in the database so tokens survive restarts.
+function getSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  let secret = db.settings.get('sessionSecret');
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    db.settings.set('sessionSecret', secret);
+  }
+  return secret;
+}
+// Hash a password with a random salt; stored as "salt:hash" (hex)
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+// Check credentials. Accounts created before hashing keep a plaintext `password`,
+// which is replaced by a hash on their first successful login.
+function checkCredentials(user, password) {
+  if (!user || typeof password !== 'string') return false;
+  if (user.passwordHash) return verifyPassword(password, user.passwordHash);
+  if (user.password === undefined || user.password !== password) return false;
+  user.passwordHash = hashPassword(password);
+  delete user.password;
+  db.users.update(user);
+  return true;
+}
+function signToken(payload) {
+  return crypto.createHmac('sha256', getSessionSecret()).update(payload).digest('base64url');
+}
+// Create a session and return its token: base64url(JSON {sid, username, exp}) + "." + HMAC
+function createSession(username) {
+  const now = Date.now();
+  // Drop expired sessions while we are writing anyway
+  db.sessions.run('DELETE FROM sessions WHERE expires_at <= ?', now);
+  const session = { id: crypto.randomBytes(16).toString('hex'), username, expiresAt: now + SESSION_TTL_MS };
+  db.sessions.insert(session);
+  const payload = Buffer.from(JSON.stringify({ sid: session.id, username, exp: session.expiresAt })).toString('base64url');
+  return { token: `${payload}.${signToken(payload)}`, expiresAt: session.expiresAt };
+}
+// Resolve a token to its live session, or null if it is forged, expired or logged out
+function findSession(token) {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(signToken(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  const session = typeof data.sid === 'string' && db.sessions.get(data.sid);
+  if (!session || session.username !== data.username || session.expiresAt <= Date.now()) return null;
+  return session;
+}
+// Middleware: authenticate from "Authorization: Bearer <token>" and set req.user / req.session
+function requireAuth(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const session = findSession(token);
+  const user = session && findUser(session.username);
+  if (!user || user.disabled) return res.status(401).json({ error: 'Authentication required' });
+  req.user = user;
+  req.session = session;
+  next();
+}
+// Middleware: only admins may pass; must run after requireAuth
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin role required' });
+  next();
+}
+// Public view of a user record (never exposes password hashes)
+function publicUser(user) {
+  return { username: user.username, role: user.role, disabled: !!user.disabled };
 }
 
 /* ---------------- Authentication endpoints ---------------- */
-// Signup: expects { username, password }
+// Signup: expects { username, password }; logs the new user in
 app.post('/api/signup', (req, res) => {
   const { username, password } = req.body;
   if (!username || !password) {
@@ -54,124 +356,1250 @@ app.post('/api/signup', (req, res) => {
   if (findUser(username)) {
     return res.status(409).json({ error: 'User already exists' });
   }
-  db.users.push({ username, password });
-  saveDB();
-  res.json({ success: true });
+  // Only the very first account of a fresh installation becomes the administrator
+  const role = db.users.count() === 0 ? 'admin' : 'user';
+  const user = { username, passwordHash: hashPassword(password), role, disabled: false };
+  db.users.insert(user);
+  const { token, expiresAt } = createSession(username);
+  res.json({ ...publicUser(user), token, expiresAt });
 });
 
-// Login: expects { username, password }
+// Login: expects { username, password }; returns { username, role, token, expiresAt }
 app.post('/api/login', (req, res) => {
   const { username, password } = req.body;
   const user = findUser(username);
-  if (!user || user.password !== password) {
+  if (!checkCredentials(user, password)) {
     return res.status(401).json({ error: 'Invalid credentials' });
   }
+  if (user.disabled) return res.status(403).json({ error: 'Account disabled' });
+  const { token, expiresAt } = createSession(username);
+  res.json({ ...publicUser(user), token, expiresAt });
+});
+
+// Everything below requires a valid session
+app.use('/api', requireAuth);
+
+// Logout: invalidates the current session token
+app.post('/api/logout', (req, res) => {
+  db.sessions.remove(req.session.id);
   res.json({ success: true });
 });
 
+// Current user
+app.get('/api/me', (req, res) => {
+  res.json(publicUser(req.user));
+});
+
+/* ---------------- Admin: user management ---------------- */
+// List all users
+app.get('/api/admin/users', requireAdmin, (req, res) => {
+  res.json(db.users.where('1 ORDER BY username').map(publicUser));
+});
+// Update a user: expects { role?, disabled? }
+app.put('/api/admin/users/:username', requireAdmin, (req, res) => {
+  const user = findUser(req.params.username);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  // Admins cannot lock themselves out
+  if (user.username === req.user.username) return res.status(400).json({ error: 'Cannot change your own account' });
+  const { role, disabled } = req.body;
+  if (role !== undefined) {
+    if (role !== 'admin' && role !== 'user') return res.status(400).json({ error: 'Invalid role' });
+    user.role = role;
+  }
+  if (typeof disabled === 'boolean') user.disabled = disabled;
+  db.transaction(() => {
+    db.users.update(user);
+    // A disabled account loses all of its sessions immediately
+    if (user.disabled) db.sessions.run('DELETE FROM sessions WHERE username = ?', user.username);
+  });
+  res.json(publicUser(user));
+});
+
+/* ---------------- Admin: backups ---------------- */
+// List snapshots
+app.get('/api/admin/backups', requireAdmin, (req, res) => {
+  res.json(listBackups());
+});
+// Create a snapshot now
+app.post('/api/admin/backups', requireAdmin, (req, res, next) => {
+  createBackup('manual').then(name => res.json({ name })).catch(next);
+});
+// Restore a snapshot. The current state is saved as a "pre-restore" snapshot first,
+// so a restore can itself be undone.
+app.post('/api/admin/backups/:name/restore', requireAdmin, (req, res, next) => {
+  const { name } = req.params;
+  const file = path.join(BACKUP_DIR, name);
+  if (!BACKUP_NAME_RE.test(name) || !fs.existsSync(file)) {
+    return res.status(404).json({ error: 'Backup not found' });
+  }
+  createBackup('prerestore')
+    .then(safetyBackup => {
+      db.restore(file);
+      res.json({ success: true, safetyBackup });
+    })
+    .catch(next);
+});
+
+/* ---------------- Image upload ---------------- */
+// Upload an image: multipart/form-data with field "image"; returns { url }
+app.post('/api/images', (req, res, next) => {
+  upload.single('image')(req, res, (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? 'Image too large' : err.message });
+    }
+    if (!req.file) return res.status(400).json({ error: 'PNG, JPEG, GIF or WebP image required' });
+    // Runs outside Express, so a failed write (disk full, no permission) is passed on by hand
+    let url;
+    try {
+      url = storeImage(req.file.buffer, req.file.mimetype);
+    } catch (e) {
+      return next(e);
+    }
+    createThumbnail(url).then(thumbnail => res.json({ url, thumbnail })).catch(next);
+  });
+});
+
 /* ---------------- Category endpoints ---------------- */
+const PARAM_TYPES = ['text', 'textarea', 'number', 'select'];
+const PARAM_SYNTAXES = ['flags', 'labels'];
+// Helper: validate a category parameter schema { syntax, fields: [{ key, label, type, flag,
+// options?, min?, max?, placeholder? }] }; returns an error message or null
+function validateSchema(schema) {
+  if (!schema || typeof schema !== 'object' || !Array.isArray(schema.fields)) return 'Schema needs a fields array';
+  if (!PARAM_SYNTAXES.includes(schema.syntax)) return 'Invalid syntax';
+  const keys = new Set();
+  for (const field of schema.fields) {
+    if (!field || typeof field.key !== 'string' || !/^[A-Za-z][\w-]*$/.test(field.key)) return 'Invalid field key';
+    if (keys.has(field.key)) return `Duplicate field key: ${field.key}`;
+    keys.add(field.key);
+    if (!field.label || typeof field.label !== 'string') return `Label required: ${field.key}`;
+    if (!PARAM_TYPES.includes(field.type)) return `Invalid type: ${field.key}`;
+    if (!field.flag || typeof field.flag !== 'string') return `Flag required: ${field.key}`;
+    if (field.type === 'select' && (!Array.isArray(field.options) || !field.options.length || field.options.some(o => typeof o !== 'string'))) {
+      return `Options required: ${field.key}`;
+    }
+  }
+  return null;
+}
+// A parameter value that is one template variable, `{name}` or `{name|default}` (see the client)
+const TEMPLATE_PARAM_RE = /^\{[\p{L}\p{N}_ -]+?(?:\|[^{}]*)?\}$/u;
+// Helper: keep only the parameters the generator's schema defines, with values of the right type.
+// Templates may hold a variable instead of a value. Returns { params } or { error }.
+function cleanParams(generator, params, isTemplate = false) {
+  const schema = db.categories.schemas()[generator];
+  const clean = {};
+  if (!schema || !params || typeof params !== 'object') return { params: clean };
+  for (const field of schema.fields) {
+    const raw = params[field.key];
+    if (raw === undefined || raw === null || String(raw).trim() === '') continue;
+    if (isTemplate && typeof raw === 'string' && TEMPLATE_PARAM_RE.test(raw.trim())) {
+      // A template variable stands in for the value; it is checked once the template is filled
+      clean[field.key] = raw.trim();
+    } else if (field.type === 'number') {
+      const value = Number(raw);
+      const outOfRange = (field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max);
+      if (!Number.isFinite(value) || outOfRange) return { error: `Invalid value for ${field.label}` };
+      clean[field.key] = value;
+    } else if (field.type === 'select') {
+      if (!field.options.includes(String(raw))) return { error: `Invalid value for ${field.label}` };
+      clean[field.key] = String(raw);
+    } else {
+      clean[field.key] = String(raw).trim();
+    }
+  }
+  return { params: clean };
+}
 // Get categories
 app.get('/api/categories', (req, res) => {
-  res.json(db.categories);
+  res.json(db.categories.list());
+});
+// Parameter schemas: { categoryName: schema }
+app.get('/api/categories/schemas', (req, res) => {
+  res.json(db.categories.schemas());
 });
-// Add category: { name }
-app.post('/api/categories', (req, res) => {
+// Set or clear (schema: null) the parameter schema of a category (admin)
+app.put('/api/categories/:name/schema', requireAdmin, (req, res) => {
+  const { name } = req.params;
+  const { schema } = req.body;
+  if (!db.categories.list().includes(name)) return res.status(404).json({ error: 'Category not found' });
+  if (schema !== null) {
+    const error = validateSchema(schema);
+    if (error) return res.status(400).json({ error });
+  }
+  db.categories.setSchema(name, schema && { syntax: schema.syntax, fields: schema.fields });
+  res.json(db.categories.schemas());
+});
+// Add category (admin): { name }
+app.post('/api/categories', requireAdmin, (req, res) => {
   const { name } = req.body;
   if (!name) return res.status(400).json({ error: 'Name required' });
-  if (db.categories.includes(name)) {
+  if (db.categories.list().includes(name)) {
     return res.status(409).json({ error: 'Category exists' });
   }
-  db.categories.push(name);
-  saveDB();
-  res.json(db.categories);
+  db.categories.add(name);
+  res.json(db.categories.list());
 });
-// Rename category
-app.put('/api/categories/:oldName', (req, res) => {
+// Rename category (admin)
+app.put('/api/categories/:oldName', requireAdmin, (req, res) => {
   const { oldName } = req.params;
   const { newName } = req.body;
-  const idx = db.categories.indexOf(oldName);
-  if (idx === -1) return res.status(404).json({ error: 'Category not found' });
+  const categories = db.categories.list();
+  if (!categories.includes(oldName)) return res.status(404).json({ error: 'Category not found' });
   if (!newName) return res.status(400).json({ error: 'newName required' });
-  if (db.categories.includes(newName)) return res.status(409).json({ error: 'Category exists' });
-  db.categories[idx] = newName;
-  // Update entries referencing old category
-  db.entries.forEach(ent => {
-    if (ent.generator === oldName) ent.generator = newName;
-  });
-  saveDB();
-  res.json(db.categories);
+  if (categories.includes(newName)) return res.status(409).json({ error: 'Category exists' });
+  // Also updates entries referencing old category
+  db.categories.rename(oldName, newName);
+  res.json(db.categories.list());
 });
-// Delete category
-app.delete('/api/categories/:name', (req, res) => {
+// Delete category (admin)
+app.delete('/api/categories/:name', requireAdmin, (req, res) => {
   const { name } = req.params;
-  const idx = db.categories.indexOf(name);
-  if (idx === -1) return res.status(404).json({ error: 'Category not found' });
-  if (db.categories.length === 1) return res.status(400).json({ error: 'Cannot delete last category' });
-  db.categories.splice(idx, 1);
+  const categories = db.categories.list();
+  if (!categories.includes(name)) return res.status(404).json({ error: 'Category not found' });
+  if (categories.length === 1) return res.status(400).json({ error: 'Cannot delete last category' });
   // Reassign entries with this category to 'Other'
-  db.entries.forEach(ent => {
-    if (ent.generator === name) ent.generator = 'Other';
-  });
-  saveDB();
-  res.json(db.categories);
+  db.categories.remove(name, 'Other');
+  res.json(db.categories.list());
 });
 
 /* ---------------- Entry endpoints ---------------- */
-// Get entries for a user: query param ?username=
+// Helper: find an entry owned by the authenticated user
+function findOwnEntry(req) {
+  const entry = db.entries.get(req.params.id);
+  return entry && entry.user === req.user.username ? entry : undefined;
+}
+// Set an entry's result images. `images` lists URLs (or { url } objects) in display order;
+// `cover` picks the one shown on cards and defaults to the first. `image`/`thumbnail` mirror the cover.
+function setEntryImages(entry, images, cover) {
+  const urls = images
+    .map(img => storeDataUrl(img && typeof img === 'object' ? img.url : img))
+    .filter((url, i, all) => typeof url === 'string' && url && all.indexOf(url) === i);
+  const coverUrl = storeDataUrl(cover);
+  entry.images = urls.map(url => ({ url, thumbnail: thumbnailFor(url) }));
+  entry.image = urls.includes(coverUrl) ? coverUrl : (urls[0] || '');
+  entry.thumbnail = thumbnailFor(entry.image);
+}
+// Entry fields that make up a version; edits changing any of them keep the old values as a revision
+const REVISION_FIELDS = ['generator', 'prompt', 'tags', 'params', 'images', 'image', 'thumbnail'];
+function pickRevisionFields(entry) {
+  const picked = {};
+  REVISION_FIELDS.forEach(field => { picked[field] = entry[field]; });
+  return picked;
+}
+// Save `before` (a copy of the entry prior to an edit) as a revision if the edit changed its content.
+// The revision keeps the time that version was saved.
+function saveRevision(before, after) {
+  const previous = pickRevisionFields(before);
+  if (JSON.stringify(previous) === JSON.stringify(pickRevisionFields(after))) return;
+  db.revisions.insert({ id: uuidv4(), entryId: before.id, ...previous, createdAt: before.updatedAt || before.createdAt });
+}
+// Sort orders of the entry list: columns compared together (the id breaks ties), the entry
+// field each column holds and the default direction
+const ENTRY_SORTS = {
+  created: { columns: [['created_at', 'createdAt'], ['id', 'id']], order: 'desc' },
+  updated: { columns: [['updated_at', 'updatedAt'], ['id', 'id']], order: 'desc' },
+  generator: { columns: [['generator', 'generator'], ['created_at', 'createdAt'], ['id', 'id']], order: 'asc' },
+  done: { columns: [['done', 'done'], ['created_at', 'createdAt'], ['id', 'id']], order: 'asc' }
+};
+const MAX_PAGE_SIZE = 200;
+// A cursor holds the sort column values of the last entry of a page
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+const isCursorValue = (value) => value === null || typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+function decodeCursor(cursor, length) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Array.isArray(values) && values.length === length && values.every(isCursorValue) ? values : null;
+  } catch (e) {
+    return null;
+  }
+}
+// One page of a user's entries. Returns { entries, nextCursor } (nextCursor is null on the
+// last page) or { error } for invalid options. Without `limit` all entries are returned.
+function listEntries(username, { q, generator, sort = 'created', order, limit, cursor }) {
+  const sortSpec = ENTRY_SORTS[sort];
+  if (!sortSpec) return { error: 'Unknown sort' };
+  order = order || sortSpec.order;
+  if (order !== 'asc' && order !== 'desc') return { error: 'Order must be asc or desc' };
+  let pageSize = Infinity;
+  if (limit !== undefined) {
+    pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1) return { error: 'Invalid limit' };
+    pageSize = Math.min(pageSize, MAX_PAGE_SIZE);
+  }
+  const columns = sortSpec.columns.map(([column]) => column);
+  const params = [username];
+  let condition = 'user = ?';
+  if (generator) {
+    condition += ' AND generator = ?';
+    params.push(generator);
+  }
+  if (cursor) {
+    const values = decodeCursor(cursor, columns.length);
+    if (!values) return { error: 'Invalid cursor' };
+    condition += ` AND (${columns.join(', ')}) ${order === 'asc' ? '>' : '<'} (${columns.map(() => '?').join(', ')})`;
+    params.push(...values);
+  }
+  condition += ' ORDER BY ' + columns.map(column => `${column} ${order.toUpperCase()}`).join(', ');
+  const terms = parseQuery(q);
+  const entries = [];
+  let more = false;
+  for (const entry of db.entries.iterate(condition, ...params)) {
+    if (terms.length && !matchQuery(terms, entryDocument(entry))) continue;
+    if (entries.length === pageSize) {
+      more = true;
+      break;
+    }
+    entries.push(entry);
+  }
+  const last = entries[entries.length - 1];
+  const nextCursor = more
+    ? encodeCursor(sortSpec.columns.map(([, field]) => (typeof last[field] === 'boolean' ? Number(last[field]) : last[field])))
+    : null;
+  return { entries, nextCursor };
+}
+// Get entries of the authenticated user. Optional query parameters:
+//  q          - filter in the query language of public/query.js (free text, "phrases", tag:, gen:, done:, -exclusions)
+//  generator  - only entries of this category
+//  sort/order - created, updated, generator or done; asc or desc
+//  limit      - page size; the response is then { entries, nextCursor } instead of a plain array,
+//               and nextCursor is passed back as `cursor` to get the following page
 app.get('/api/entries', (req, res) => {
-  const username = req.query.username;
-  if (!username) return res.status(400).json({ error: 'username query required' });
-  const entries = db.entries.filter(e => e.user === username);
-  res.json(entries);
+  const options = {};
+  ['q', 'generator', 'sort', 'order', 'limit', 'cursor'].forEach(key => {
+    if (typeof req.query[key] === 'string' && req.query[key] !== '') options[key] = req.query[key];
+  });
+  // Without sort or paging options entries keep the order they were added in
+  if (!options.sort && !options.limit) {
+    const terms = parseQuery(options.q);
+    let entries = db.entries.where('user = ? ORDER BY rowid', req.user.username);
+    if (options.generator) entries = entries.filter(entry => entry.generator === options.generator);
+    if (terms.length) entries = entries.filter(entry => matchQuery(terms, entryDocument(entry)));
+    return res.json(entries);
+  }
+  const page = listEntries(req.user.username, options);
+  if (page.error) return res.status(400).json({ error: page.error });
+  res.json(options.limit ? page : page.entries);
 });
-// Create entry: expects { user, generator, prompt, image, tags }
+// Entries changed since `since` (the syncedAt of an earlier call; all entries without it)
+// and the ids of all entries, so the client can drop those deleted in the meantime.
+// Responds with { entries, ids, syncedAt }.
+app.get('/api/entries/changes', (req, res) => {
+  const { since } = req.query;
+  const sinceTime = since === undefined ? 0 : Date.parse(typeof since === 'string' ? since : '');
+  if (!Number.isFinite(sinceTime)) return res.status(400).json({ error: 'Invalid since' });
+  // Taken before reading, so a change made later is returned by the next call
+  const syncedAt = new Date().toISOString();
+  const entries = db.entries.where('user = ? AND changed_at >= ? ORDER BY rowid', req.user.username, new Date(sinceTime).toISOString());
+  res.json({ entries, ids: db.entries.ids(req.user.username), syncedAt });
+});
+// Create entry: expects { generator, prompt, images?, cover?, tags, params?, isTemplate? }. A single
+// `image` is still accepted; text-only entries have no images. `params` follow the generator's schema.
 app.post('/api/entries', (req, res) => {
-  const { user, generator, prompt, image, tags, done } = req.body;
-  if (!user || !generator || !prompt || !image) {
+  const { generator, prompt, image, images, cover, tags, params, done, isTemplate } = req.body;
+  if (!generator || !prompt) {
     return res.status(400).json({ error: 'Missing fields' });
   }
+  const cleaned = cleanParams(generator, params, isTemplate === true);
+  if (cleaned.error) return res.status(400).json({ error: cleaned.error });
+  const now = new Date().toISOString();
   const entry = {
     id: uuidv4(),
-    user,
+    user: req.user.username,
     generator,
     prompt,
-    image,
     tags: Array.isArray(tags) ? tags : [],
+    params: cleaned.params,
     // Allow client to specify done flag or default to false
-    done: typeof done === 'boolean' ? done : false
+    done: typeof done === 'boolean' ? done : false,
+    isTemplate: isTemplate === true,
+    createdAt: now,
+    updatedAt: now
   };
-  db.entries.push(entry);
-  saveDB();
+  setEntryImages(entry, Array.isArray(images) ? images : [image], cover);
+  db.entries.insert(entry);
   res.json(entry);
 });
-// Update entry: /api/entries/:id expects { user, generator, prompt, image, tags }
+// Category matching a generator name from an import file, ignoring case and surrounding spaces
+function matchCategory(categories, name) {
+  const key = String(name || '').trim().toLowerCase();
+  return categories.find(cat => cat.toLowerCase() === key);
+}
+// Bulk import (CSV / Markdown parsed on the client): expects { entries: [{ generator, prompt,
+// tags?, done?, image? }], createCategories? }. Unknown generators
+// become new categories when an admin sets createCategories, otherwise they fall back to 'Other'.
+app.post('/api/entries/import', (req, res) => {
+  const { entries, createCategories } = req.body;
+  if (!Array.isArray(entries) || !entries.length) return res.status(400).json({ error: 'Entries required' });
+  if (createCategories && req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can create categories' });
+  }
+  const invalid = entries.findIndex(item => !item || typeof item.prompt !== 'string' || !item.prompt.trim());
+  if (invalid !== -1) return res.status(400).json({ error: `Row ${invalid + 1}: prompt required` });
+  const createdCategories = [];
+  const created = db.transaction(() => {
+    const categories = db.categories.list();
+    const now = new Date().toISOString();
+    return entries.map(item => {
+      let generator = matchCategory(categories, item.generator);
+      if (!generator && item.generator && String(item.generator).trim() && createCategories) {
+        generator = String(item.generator).trim();
+        db.categories.add(generator);
+        categories.push(generator);
+        createdCategories.push(generator);
+      }
+      const entry = {
+        id: uuidv4(),
+        user: req.user.username,
+        generator: generator || 'Other',
+        prompt: item.prompt.trim(),
+        tags: Array.isArray(item.tags) ? item.tags : [],
+        params: {},
+        done: !!item.done,
+        createdAt: now,
+        updatedAt: now
+      };
+      setEntryImages(entry, [item.image]);
+      db.entries.insert(entry);
+      return entry;
+    });
+  });
+  res.json({ entries: created, createdCategories, categories: db.categories.list() });
+});
+// Update entry: /api/entries/:id expects { generator, prompt, images, cover, tags, params, done, isTemplate }.
+// `images` replaces the whole list; `cover` alone picks a new cover; a single `image` (older
+// clients) is added to the list and becomes the cover. Without `params`, a generator change
+// keeps only the parameters the new generator also has.
 app.put('/api/entries/:id', (req, res) => {
-  const { id } = req.params;
-  const entry = db.entries.find(e => e.id === id);
+  const entry = findOwnEntry(req);
   if (!entry) return res.status(404).json({ error: 'Entry not found' });
-  const { user, generator, prompt, image, tags, done } = req.body;
-  if (user && entry.user !== user) return res.status(403).json({ error: 'User mismatch' });
+  const { generator, prompt, image, images, cover, tags, params, done, isTemplate } = req.body;
+  const before = JSON.parse(JSON.stringify(entry));
   if (generator) entry.generator = generator;
+  // Turning a template into a plain entry checks its parameters again: variables are not values
+  const template = typeof isTemplate === 'boolean' ? isTemplate : entry.isTemplate;
+  if (params !== undefined || generator || template !== entry.isTemplate) {
+    const cleaned = cleanParams(entry.generator, params !== undefined ? params : entry.params, template);
+    if (cleaned.error) return res.status(400).json({ error: cleaned.error });
+    entry.params = cleaned.params;
+  }
   if (prompt) entry.prompt = prompt;
-  if (image) entry.image = image;
+  if (Array.isArray(images)) {
+    setEntryImages(entry, images, cover);
+  } else if (image) {
+    const url = storeDataUrl(image);
+    setEntryImages(entry, [url, ...entry.images], url);
+  } else if (cover) {
+    setEntryImages(entry, entry.images, cover);
+  }
   if (Array.isArray(tags)) entry.tags = tags;
   if (typeof done === 'boolean') entry.done = done;
-  saveDB();
+  if (typeof isTemplate === 'boolean') entry.isTemplate = isTemplate;
+  entry.updatedAt = new Date().toISOString();
+  db.transaction(() => {
+    saveRevision(before, entry);
+    db.entries.update(entry);
+  });
   res.json(entry);
 });
+// Helper: find a revision of an entry owned by the authenticated user
+function findOwnRevision(req) {
+  const entry = findOwnEntry(req);
+  const revision = entry && db.revisions.get(req.params.revisionId);
+  return revision && revision.entryId === entry.id ? { entry, revision } : {};
+}
+// Earlier versions of an entry, newest first
+app.get('/api/entries/:id/revisions', (req, res) => {
+  const entry = findOwnEntry(req);
+  if (!entry) return res.status(404).json({ error: 'Entry not found' });
+  res.json(db.revisions.where('entry_id = ? ORDER BY created_at DESC, rowid DESC', entry.id));
+});
+// Restore a revision: the current version is kept as a revision of its own
+app.post('/api/entries/:id/revisions/:revisionId/restore', (req, res) => {
+  const { entry, revision } = findOwnRevision(req);
+  if (!revision) return res.status(404).json({ error: 'Revision not found' });
+  const before = JSON.parse(JSON.stringify(entry));
+  Object.assign(entry, pickRevisionFields(revision), { updatedAt: new Date().toISOString() });
+  db.transaction(() => {
+    saveRevision(before, entry);
+    db.entries.update(entry);
+  });
+  res.json(entry);
+});
+// Fork a revision into a new entry; the original entry is left unchanged
+app.post('/api/entries/:id/revisions/:revisionId/fork', (req, res) => {
+  const { entry, revision } = findOwnRevision(req);
+  if (!revision) return res.status(404).json({ error: 'Revision not found' });
+  const now = new Date().toISOString();
+  const fork = {
+    ...pickRevisionFields(revision),
+    id: uuidv4(),
+    user: req.user.username,
+    done: false,
+    isTemplate: entry.isTemplate,
+    createdAt: now,
+    updatedAt: now
+  };
+  db.entries.insert(fork);
+  res.json(fork);
+});
 // Delete entry
 app.delete('/api/entries/:id', (req, res) => {
-  const { id } = req.params;
-  const idx = db.entries.findIndex(e => e.id === id);
-  if (idx === -1) return res.status(404).json({ error: 'Entry not found' });
-  const [removed] = db.entries.splice(idx, 1);
-  saveDB();
+  const entry = findOwnEntry(req);
+  if (!entry) return res.status(404).json({ error: 'Entry not found' });
+  db.entries.remove(entry.id);
+  res.json({ success: true });
+});
+
+/* ---------------- Story endpoints ---------------- */
+// Helper: find a story owned by the authenticated user
+function findOwnStory(req) {
+  const story = db.stories.get(req.params.id);
+  return story && story.user === req.user.username ? story : undefined;
+}
+function sceneDuration(scene) {
+  return scene.duration > 0 ? scene.duration : DEFAULT_SCENE_DURATION;
+}
+// Transition from a scene into the next one
+const SCENE_TRANSITIONS = ['cut', 'fade', 'dissolve', 'wipe', 'slide', 'zoom'];
+// Keep only known scene fields; scenes added from an entry keep its id in `entryId`.
+// Start and end times are not stored: they follow from the durations of the scenes before.
+function normalizeScene(scene) {
+  const duration = Number(scene.duration);
+  const image = storeDataUrl(scene.image) || '';
+  return {
+    id: scene.id || uuidv4(),
+    image,
+    thumbnail: thumbnailFor(image),
+    prompt: scene.prompt || '',
+    videoTitle: scene.videoTitle || '',
+    duration: duration > 0 ? duration : undefined,
+    animationPrompt: scene.animationPrompt || '',
+    transition: SCENE_TRANSITIONS.includes(scene.transition) ? scene.transition : 'cut',
+    cameraMove: typeof scene.cameraMove === 'string' ? scene.cameraMove : '',
+    voiceOver: typeof scene.voiceOver === 'string' ? scene.voiceOver : '',
+    audioCue: typeof scene.audioCue === 'string' ? scene.audioCue : '',
+    tags: Array.isArray(scene.tags) ? scene.tags : [],
+    done: !!scene.done,
+    entryId: scene.entryId || undefined
+  };
+}
+// Get stories of the authenticated user
+app.get('/api/stories', (req, res) => {
+  res.json(db.stories.where('user = ? ORDER BY rowid', req.user.username));
+});
+// Create story: expects { name, scenario?, color?, scenes? }
+app.post('/api/stories', (req, res) => {
+  const { name, scenario, color, scenes } = req.body;
+  if (!name) return res.status(400).json({ error: 'Name required' });
+  const now = new Date().toISOString();
+  const story = {
+    id: uuidv4(),
+    user: req.user.username,
+    name,
+    scenario: scenario || '',
+    color: color || '#5a5ce6',
+    scenes: Array.isArray(scenes) ? scenes.map(normalizeScene) : [],
+    createdAt: now,
+    updatedAt: now
+  };
+  db.stories.insert(story);
+  res.json(story);
+});
+// Update story: /api/stories/:id expects { name?, scenario?, color?, scenes? }
+app.put('/api/stories/:id', (req, res) => {
+  const story = findOwnStory(req);
+  if (!story) return res.status(404).json({ error: 'Story not found' });
+  const { name, scenario, color, scenes } = req.body;
+  if (name) story.name = name;
+  if (typeof scenario === 'string') story.scenario = scenario;
+  if (color) story.color = color;
+  if (Array.isArray(scenes)) story.scenes = scenes.map(normalizeScene);
+  story.updatedAt = new Date().toISOString();
+  db.stories.update(story);
+  res.json(story);
+});
+// Duplicate story: /api/stories/:id/duplicate accepts optional { name }
+app.post('/api/stories/:id/duplicate', (req, res) => {
+  const source = findOwnStory(req);
+  if (!source) return res.status(404).json({ error: 'Story not found' });
+  const now = new Date().toISOString();
+  const copy = {
+    ...source,
+    id: uuidv4(),
+    name: (req.body && req.body.name) || `${source.name} (copy)`,
+    createdAt: now,
+    updatedAt: now
+  };
+  // Scenes get fresh ids so the two stories can be edited independently
+  copy.scenes = copy.scenes.map(scene => ({ ...scene, id: uuidv4() }));
+  db.stories.insert(copy);
+  res.json(copy);
+});
+// Delete story
+app.delete('/api/stories/:id', (req, res) => {
+  const story = findOwnStory(req);
+  if (!story) return res.status(404).json({ error: 'Story not found' });
+  db.stories.remove(story.id);
+  res.json({ success: true });
+});
+
+/* ---------------- Story video render ---------------- */
+// A story is rendered into a slideshow video by a locally installed ffmpeg: every scene image
+// is shown for its duration (scenes without an image get a frame in the story color), with
+// the scene's videoTitle optionally burnt in as a caption. Jobs run one at a time and live
+// in memory; only the newest finished video of each story is kept.
+const RENDER_FORMATS = {
+  mp4: { type: 'video/mp4', codec: ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-movflags', '+faststart'] },
+  webm: { type: 'video/webm', codec: ['-c:v', 'libvpx-vp9', '-b:v', '0', '-crf', '33', '-deadline', 'good', '-cpu-used', '4', '-row-mt', '1'] }
+};
+const renderJobs = new Map();
+let renderQueue = Promise.resolve();
+// Public view of a job (no file paths)
+function publicRenderJob(job) {
+  const { id, storyId, storyName, format, captions, status, progress, error, createdAt, finishedAt } = job;
+  return { id, storyId, storyName, format, captions, status, progress, error, createdAt, finishedAt };
+}
+function findOwnRenderJob(req) {
+  const job = renderJobs.get(req.params.id);
+  return job && job.user === req.user.username ? job : undefined;
+}
+// ffmpeg arguments for a story; caption files are written to `workDir`
+function renderArguments(story, job, workDir) {
+  const [width, height] = RENDER_SIZE;
+  const color = /^#[0-9a-f]{6}$/i.test(story.color) ? '0x' + story.color.slice(1) : 'black';
+  const inputs = [];
+  const filters = [];
+  story.scenes.forEach((scene, i) => {
+    const duration = String(sceneDuration(scene));
+    const file = scene.image && scene.image.startsWith('/uploads/') && path.join(UPLOAD_DIR, path.basename(scene.image));
+    if (file && fs.existsSync(file)) {
+      inputs.push('-loop', '1', '-framerate', String(RENDER_FPS), '-t', duration, '-i', file);
+    } else {
+      inputs.push('-f', 'lavfi', '-t', duration, '-i', `color=c=${color}:s=${width}x${height}:r=${RENDER_FPS}`);
+    }
+    let chain = `[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${RENDER_FPS},format=yuv420p`;
+    if (job.captions && scene.videoTitle) {
+      // Caption text goes through a file: no escaping rules of the filter syntax to get wrong
+      const captionFile = path.join(workDir, `caption-${i}.txt`);
+      fs.writeFileSync(captionFile, scene.videoTitle);
+      chain += `,drawtext=textfile='${captionFile}':expansion=none` +
+        (RENDER_FONT ? `:fontfile='${RENDER_FONT}'` : '') +
+        ':fontcolor=white:fontsize=h/18:box=1:boxcolor=black@0.55:boxborderw=16' +
+        ':x=(w-text_w)/2:y=h-text_h-h/12';
+    }
+    filters.push(`${chain}[v${i}]`);
+  });
+  const labels = story.scenes.map((scene, i) => `[v${i}]`).join('');
+  filters.push(`${labels}concat=n=${story.scenes.length}:v=1:a=0[out]`);
+  return [
+    '-y', '-hide_banner', '-nostats', '-progress', 'pipe:1',
+    ...inputs,
+    '-filter_complex', filters.join(';'),
+    '-map', '[out]',
+    ...RENDER_FORMATS[job.format].codec,
+    '-pix_fmt', 'yuv420p',
+    job.file
+  ];
+}
+// Run one job; resolves when ffmpeg has exited
+function runRenderJob(job, story) {
+  return new Promise(resolve => {
+    const workDir = path.join(RENDER_DIR, `tmp-${job.id}`);
+    fs.mkdirSync(workDir, { recursive: true });
+    const total = story.scenes.reduce((sum, scene) => sum + sceneDuration(scene), 0);
+    let stderr = '';
+    const finish = (error) => {
+      fs.rmSync(workDir, { recursive: true, force: true });
+      job.finishedAt = new Date().toISOString();
+      if (error) {
+        job.status = 'failed';
+        job.error = error;
+        fs.rmSync(job.file, { force: true });
+      } else {
+        job.status = 'done';
+        job.progress = 1;
+        // The new video replaces older ones of the same story
+        renderJobs.forEach(other => {
+          if (other !== job && other.storyId === job.storyId && other.status !== 'queued' && other.status !== 'running') {
+            fs.rmSync(other.file, { force: true });
+            renderJobs.delete(other.id);
+          }
+        });
+      }
+      resolve();
+    };
+    job.status = 'running';
+    const ffmpeg = spawn(FFMPEG_PATH, renderArguments(story, job, workDir));
+    ffmpeg.on('error', (err) => {
+      finish(err.code === 'ENOENT' ? 'ffmpeg is not installed on the server' : err.message);
+    });
+    // -progress writes key=value lines; out_time_us is the position in the output
+    ffmpeg.stdout.on('data', (chunk) => {
+      const times = [...String(chunk).matchAll(/out_time_us=(\d+)/g)];
+      if (times.length) job.progress = Math.min(Number(times[times.length - 1][1]) / 1e6 / total, 0.99);
+    });
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    ffmpeg.on('close', (code) => {
+      if (job.status !== 'running') return;
+      if (code === 0) return finish(null);
+      console.error(`Render ${job.id} failed:\n${stderr}`);
+      const lastLine = stderr.trim().split('\n').pop();
+      finish(`ffmpeg exited with code ${code}${lastLine ? ': ' + lastLine : ''}`);
+    });
+  });
+}
+// Render a story: /api/stories/:id/render expects { format?: 'mp4' | 'webm', captions? }.
+// Answers 202 with the queued job; poll GET /api/renders/:id for progress.
+app.post('/api/stories/:id/render', (req, res) => {
+  const story = findOwnStory(req);
+  if (!story) return res.status(404).json({ error: 'Story not found' });
+  if (!story.scenes.length) return res.status(400).json({ error: 'Story has no scenes' });
+  if (story.scenes.length > MAX_RENDER_SCENES) {
+    return res.status(400).json({ error: `A rendered story can have at most ${MAX_RENDER_SCENES} scenes` });
+  }
+  if (story.scenes.some(scene => sceneDuration(scene) > MAX_RENDER_SCENE_SECONDS)) {
+    return res.status(400).json({ error: `A rendered scene can last at most ${MAX_RENDER_SCENE_SECONDS} seconds` });
+  }
+  if (story.scenes.reduce((total, scene) => total + sceneDuration(scene), 0) > MAX_RENDER_SECONDS) {
+    return res.status(400).json({ error: `A rendered story can last at most ${MAX_RENDER_SECONDS / 60} minutes` });
+  }
+  const format = req.body.format || 'mp4';
+  if (!RENDER_FORMATS[format]) return res.status(400).json({ error: 'Unknown format' });
+  const pending = [...renderJobs.values()].some(job => job.storyId === story.id && (job.status === 'queued' || job.status === 'running'));
+  if (pending) return res.status(409).json({ error: 'This story is already being rendered' });
+  const id = uuidv4();
+  const job = {
+    id,
+    user: req.user.username,
+    storyId: story.id,
+    storyName: story.name,
+    format,
+    captions: req.body.captions !== false,
+    status: 'queued',
+    progress: 0,
+    error: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    file: path.join(RENDER_DIR, `${id}.${format}`)
+  };
+  renderJobs.set(id, job);
+  // The story is rendered as it is now, even if it is edited while the job waits
+  const snapshot = JSON.parse(JSON.stringify(story));
+  renderQueue = renderQueue.then(() => runRenderJob(job, snapshot)).catch(err => {
+    console.error(`Render ${job.id} failed:`, err);
+    Object.assign(job, { status: 'failed', error: 'Render failed', finishedAt: new Date().toISOString() });
+  });
+  res.status(202).json(publicRenderJob(job));
+});
+// Render jobs of the authenticated user, newest first
+app.get('/api/renders', (req, res) => {
+  const jobs = [...renderJobs.values()].filter(job => job.user === req.user.username);
+  res.json(jobs.reverse().map(publicRenderJob));
+});
+app.get('/api/renders/:id', (req, res) => {
+  const job = findOwnRenderJob(req);
+  if (!job) return res.status(404).json({ error: 'Render not found' });
+  res.json(publicRenderJob(job));
+});
+// Download a finished video
+app.get('/api/renders/:id/file', (req, res) => {
+  const job = findOwnRenderJob(req);
+  if (!job) return res.status(404).json({ error: 'Render not found' });
+  if (job.status !== 'done') return res.status(409).json({ error: 'Render is not finished' });
+  const name = `${job.storyName.replace(/[\\/:*?"<>|]+/g, '_')}.${job.format}`;
+  res.type(RENDER_FORMATS[job.format].type);
+  res.download(path.resolve(job.file), name);
+});
+
+/* ---------------- Saved search endpoints ---------------- */
+// A saved search (smart collection) is a named category + query combination; an empty
+// category means all categories
+const MAX_SAVED_SEARCH_NAME = 100;
+function findOwnSavedSearch(req) {
+  const search = db.savedSearches.get(req.params.id);
+  return search && search.user === req.user.username ? search : undefined;
+}
+// Helper: validate saved search fields; returns an error message or null.
+// With `partial` set only the fields that are present are checked (updates).
+function validateSavedSearch(body, partial) {
+  const { name, category, query } = body;
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'Name required';
+    if (name.trim().length > MAX_SAVED_SEARCH_NAME) return 'Name too long';
+  }
+  if (category !== undefined && category !== null && category !== '' && !db.categories.list().includes(category)) {
+    return 'Unknown category';
+  }
+  if (query !== undefined && typeof query !== 'string') return 'Query must be a string';
+  return null;
+}
+// Saved searches with `count`, the number of the user's entries each one matches. Every
+// entry is read and indexed once, whatever the number of searches.
+function countSavedSearches(username, searches) {
+  const filters = searches.map(search => ({ category: search.category, terms: parseQuery(search.query) }));
+  const counts = searches.map(() => 0);
+  for (const entry of db.entries.iterate('user = ?', username)) {
+    const document = entryDocument(entry);
+    filters.forEach(({ category, terms }, i) => {
+      if ((!category || entry.generator === category) && (!terms.length || matchQuery(terms, document))) counts[i]++;
+    });
+  }
+  return searches.map((search, i) => ({ ...search, count: counts[i] }));
+}
+// Get saved searches of the authenticated user, with counts
+app.get('/api/searches', (req, res) => {
+  res.json(countSavedSearches(req.user.username, db.savedSearches.where('user = ? ORDER BY rowid', req.user.username)));
+});
+// Create saved search: expects { name, category?, query? }
+app.post('/api/searches', (req, res) => {
+  const error = validateSavedSearch(req.body, false);
+  if (error) return res.status(400).json({ error });
+  const { name, category, query } = req.body;
+  const now = new Date().toISOString();
+  const search = {
+    id: uuidv4(),
+    user: req.user.username,
+    name: name.trim(),
+    category: category || undefined,
+    query: (query || '').trim(),
+    createdAt: now,
+    updatedAt: now
+  };
+  db.savedSearches.insert(search);
+  res.json(countSavedSearches(req.user.username, [search])[0]);
+});
+// Update saved search: /api/searches/:id expects { name?, category?, query? }
+app.put('/api/searches/:id', (req, res) => {
+  const search = findOwnSavedSearch(req);
+  if (!search) return res.status(404).json({ error: 'Saved search not found' });
+  const error = validateSavedSearch(req.body, true);
+  if (error) return res.status(400).json({ error });
+  const { name, category, query } = req.body;
+  if (name !== undefined) search.name = name.trim();
+  if (category !== undefined) search.category = category || undefined;
+  if (query !== undefined) search.query = query.trim();
+  search.updatedAt = new Date().toISOString();
+  db.savedSearches.update(search);
+  res.json(countSavedSearches(req.user.username, [search])[0]);
+});
+// Delete saved search
+app.delete('/api/searches/:id', (req, res) => {
+  const search = findOwnSavedSearch(req);
+  if (!search) return res.status(404).json({ error: 'Saved search not found' });
+  db.savedSearches.remove(search.id);
   res.json({ success: true });
 });
 
+/* ---------------- Board endpoints ---------------- */
+// Boards are named, hand-ordered sets of a user's entries across generators. Responses carry
+// the member ids in board order as `entryIds`.
+const MAX_BOARD_NAME = 100;
+function findOwnBoard(req) {
+  const board = db.boards.get(req.params.id);
+  return board && board.user === req.user.username ? board : undefined;
+}
+function withEntryIds(board) {
+  return { ...board, entryIds: db.boardEntries.list(board.id) };
+}
+// Helper: check a list of entry ids for a board; returns an error message or null
+function validateBoardEntryIds(entryIds, username) {
+  if (!Array.isArray(entryIds)) return 'entryIds must be an array';
+  if (new Set(entryIds).size !== entryIds.length) return 'Duplicate entry';
+  const unknown = entryIds.some(id => {
+    const entry = typeof id === 'string' && db.entries.get(id);
+    return !entry || entry.user !== username;
+  });
+  return unknown ? 'Unknown entry' : null;
+}
+function validateBoardName(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'Name required';
+  if (name.trim().length > MAX_BOARD_NAME) return 'Name too long';
+  return null;
+}
+// Get boards of the authenticated user
+app.get('/api/boards', (req, res) => {
+  res.json(db.boards.where('user = ? ORDER BY rowid', req.user.username).map(withEntryIds));
+});
+// Create board: expects { name, description?, entryIds? }
+app.post('/api/boards', (req, res) => {
+  const { name, description, entryIds } = req.body;
+  const error = validateBoardName(name) || (entryIds !== undefined && validateBoardEntryIds(entryIds, req.user.username));
+  if (error) return res.status(400).json({ error });
+  const now = new Date().toISOString();
+  const board = {
+    id: uuidv4(),
+    user: req.user.username,
+    name: name.trim(),
+    description: typeof description === 'string' ? description : '',
+    createdAt: now,
+    updatedAt: now
+  };
+  db.transaction(() => {
+    db.boards.insert(board);
+    if (entryIds) db.boardEntries.set(board.id, entryIds);
+  });
+  res.json(withEntryIds(board));
+});
+// Update board: /api/boards/:id expects { name?, description?, entryIds? }.
+// `entryIds` replaces the members and their order (used for reordering).
+app.put('/api/boards/:id', (req, res) => {
+  const board = findOwnBoard(req);
+  if (!board) return res.status(404).json({ error: 'Board not found' });
+  const { name, description, entryIds } = req.body;
+  const error = (name !== undefined && validateBoardName(name)) ||
+    (entryIds !== undefined && validateBoardEntryIds(entryIds, req.user.username));
+  if (error) return res.status(400).json({ error });
+  if (name !== undefined) board.name = name.trim();
+  if (typeof description === 'string') board.description = description;
+  board.updatedAt = new Date().toISOString();
+  db.transaction(() => {
+    db.boards.update(board);
+    if (entryIds) db.boardEntries.set(board.id, entryIds);
+  });
+  res.json(withEntryIds(board));
+});
+// Delete board; its entries stay in the library
+app.delete('/api/boards/:id', (req, res) => {
+  const board = findOwnBoard(req);
+  if (!board) return res.status(404).json({ error: 'Board not found' });
+  db.boards.remove(board.id);
+  res.json({ success: true });
+});
+// Add an entry to the end of a board: /api/boards/:id/entries expects { entryId }
+app.post('/api/boards/:id/entries', (req, res) => {
+  const board = findOwnBoard(req);
+  if (!board) return res.status(404).json({ error: 'Board not found' });
+  const entryId = req.body && req.body.entryId;
+  const error = validateBoardEntryIds([entryId], req.user.username);
+  if (error) return res.status(400).json({ error });
+  if (db.boardEntries.add(board.id, entryId)) {
+    board.updatedAt = new Date().toISOString();
+    db.boards.update(board);
+  }
+  res.json(withEntryIds(board));
+});
+// Remove an entry from a board
+app.delete('/api/boards/:id/entries/:entryId', (req, res) => {
+  const board = findOwnBoard(req);
+  if (!board) return res.status(404).json({ error: 'Board not found' });
+  if (!db.boardEntries.remove(board.id, req.params.entryId)) {
+    return res.status(404).json({ error: 'Entry is not on this board' });
+  }
+  board.updatedAt = new Date().toISOString();
+  db.boards.update(board);
+  res.json(withEntryIds(board));
+});
+
+/* ---------------- Material endpoints ---------------- */
+const MATERIAL_TYPES = ['video', 'link'];
+const MATERIAL_VISIBILITY = ['personal', 'team'];
+// Helper: validate material fields; returns an error message or null.
+// With `partial` set only the fields that are present are checked (updates).
+function validateMaterial(body, partial) {
+  const { title, type, url, visibility } = body;
+  if (!partial || title !== undefined) {
+    if (!title || typeof title !== 'string') return 'Title required';
+  }
+  if (!partial || url !== undefined) {
+    if (!url || !/^https?:\/\//i.test(url)) return 'Valid http(s) URL required';
+  }
+  if (type !== undefined && !MATERIAL_TYPES.includes(type)) return 'Invalid type';
+  if (visibility !== undefined && !MATERIAL_VISIBILITY.includes(visibility)) return 'Invalid visibility';
+  return null;
+}
+// Helper: find a material the authenticated user can see (own or team)
+function findVisibleMaterial(req) {
+  const material = db.materials.get(req.params.id);
+  return material && (material.owner === req.user.username || material.visibility === 'team') ? material : undefined;
+}
+// Owners manage their materials; admins may also manage team materials
+function canManageMaterial(user, material) {
+  return material.owner === user.username || (user.role === 'admin' && material.visibility === 'team');
+}
+// Get own materials plus team materials of other users
+app.get('/api/materials', (req, res) => {
+  res.json(db.materials.where("owner = ? OR visibility = 'team' ORDER BY rowid", req.user.username));
+});
+// Create material: expects { title, type, url, tags, visibility }
+app.post('/api/materials', (req, res) => {
+  const error = validateMaterial(req.body, false);
+  if (error) return res.status(400).json({ error });
+  const { title, type, url, tags, visibility } = req.body;
+  const now = new Date().toISOString();
+  const material = {
+    id: uuidv4(),
+    owner: req.user.username,
+    title,
+    type: type || 'link',
+    url,
+    tags: Array.isArray(tags) ? tags : [],
+    visibility: visibility || 'personal',
+    createdAt: now,
+    updatedAt: now
+  };
+  db.materials.insert(material);
+  res.json(material);
+});
+// Update material: /api/materials/:id expects { title?, type?, url?, tags?, visibility? }
+app.put('/api/materials/:id', (req, res) => {
+  const material = findVisibleMaterial(req);
+  if (!material) return res.status(404).json({ error: 'Material not found' });
+  if (!canManageMaterial(req.user, material)) return res.status(403).json({ error: 'Not the owner' });
+  const error = validateMaterial(req.body, true);
+  if (error) return res.status(400).json({ error });
+  const { title, type, url, tags, visibility } = req.body;
+  if (title) material.title = title;
+  if (type) material.type = type;
+  if (url) material.url = url;
+  if (Array.isArray(tags)) material.tags = tags;
+  if (visibility) material.visibility = visibility;
+  material.updatedAt = new Date().toISOString();
+  db.materials.update(material);
+  res.json(material);
+});
+// Delete material
+app.delete('/api/materials/:id', (req, res) => {
+  const material = findVisibleMaterial(req);
+  if (!material) return res.status(404).json({ error: 'Material not found' });
+  if (!canManageMaterial(req.user, material)) return res.status(403).json({ error: 'Not the owner' });
+  db.materials.remove(material.id);
+  res.json({ success: true });
+});
+
+/* ---------------- Library export / import ---------------- */
+// Archive layout: manifest.json with the user's library, images/<hash>.<ext> for stored images.
+// Thumbnails are not exported; they are regenerated on import.
+const ARCHIVE_FORMAT = 'ai-prompt-storage';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_IMAGE_RE = /^images\/([0-9a-f]{64})\.([a-z]+)$/;
+// Limits checked against the archive directory before anything is inflated (zip bombs):
+// number of members, size of manifest.json and of the whole unpacked archive. Images are
+// limited to MAX_IMAGE_BYTES each, as uploads are. adm-zip caps inflation at the declared size.
+const MAX_ARCHIVE_ENTRIES = 10000;
+const MAX_MANIFEST_BYTES = 50 * 1024 * 1024;
+const MAX_ARCHIVE_UNPACKED_BYTES = 2 * MAX_ARCHIVE_BYTES;
+// Fields that do not count as a change when an imported item is compared with the stored one
+const IMPORT_IGNORED_FIELDS = ['thumbnail', 'createdAt', 'updatedAt'];
+
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ARCHIVE_BYTES }
+});
+
+// Build the export archive of a user's entries, stories and own materials plus all categories
+function exportLibrary(username) {
+  const zip = new AdmZip();
+  const packed = new Set();
+  // Stored image URL -> path inside the archive; external URLs are kept as they are
+  const pack = (url) => {
+    if (!thumbnailUrl(url)) return url;
+    const name = path.basename(url);
+    const filePath = path.join(UPLOAD_DIR, name);
+    if (!packed.has(name)) {
+      if (!fs.existsSync(filePath)) return url;
+      zip.addLocalFile(filePath, 'images');
+      packed.add(name);
+    }
+    return `images/${name}`;
+  };
+  const withoutThumbnail = ({ thumbnail, ...item }) => ({ ...item, image: pack(item.image) });
+  const packEntry = (entry) => ({ ...withoutThumbnail(entry), images: entry.images.map(img => pack(img.url)) });
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    user: username,
+    categories: db.categories.list(),
+    entries: db.entries.where('user = ? ORDER BY rowid', username).map(packEntry),
+    stories: db.stories.where('user = ? ORDER BY rowid', username)
+      .map(story => ({ ...story, scenes: story.scenes.map(withoutThumbnail) })),
+    materials: db.materials.where('owner = ? ORDER BY rowid', username)
+  };
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  return zip.toBuffer();
+}
+// Compare two items by content, ignoring timestamps, thumbnails and key order
+function sameContent(a, b) {
+  const comparable = (item) => JSON.stringify(Object.keys(item)
+    .filter(key => !IMPORT_IGNORED_FIELDS.includes(key) && item[key] != null)
+    .sort()
+    .map(key => [key, item[key]]));
+  return comparable(a) === comparable(b);
+}
+// Helper: check the declared sizes of the archive members; returns an error message or null
+function checkArchiveLimits(zip) {
+  const members = zip.getEntries();
+  if (members.length > MAX_ARCHIVE_ENTRIES) return 'Archive has too many files';
+  let total = 0;
+  for (const member of members) {
+    const size = member.header.size;
+    if (member.entryName === 'manifest.json' && size > MAX_MANIFEST_BYTES) return 'Archive manifest too large';
+    if (ARCHIVE_IMAGE_RE.test(member.entryName) && size > MAX_IMAGE_BYTES) return 'Archive image too large';
+    total += size;
+    if (total > MAX_ARCHIVE_UNPACKED_BYTES) return 'Archive too large when unpacked';
+  }
+  return null;
+}
+// Merge an export archive into the user's library. Items are matched by id: new ids are
+// created, identical items are left alone and changed ones are conflicts, which are
+// reported unless `onConflict` is 'overwrite' (replace own item) or 'copy' (import under a new id).
+// Items whose id belongs to another user are always imported as copies or reported.
+function importLibrary(user, manifest, zip, onConflict) {
+  const report = { created: 0, updated: 0, unchanged: 0, conflicts: [], missingCategories: [] };
+  // Archive image path -> stored image URL
+  const unpack = (ref) => {
+    const match = typeof ref === 'string' && ref.match(ARCHIVE_IMAGE_RE);
+    if (!match) return ref;
+    const file = zip.getEntry(ref);
+    const mimetype = Object.keys(IMAGE_TYPES).find(type => IMAGE_TYPES[type] === match[2]);
+    return file && mimetype ? storeImage(file.getData(), mimetype) : '';
+  };
+  const merge = (kind, collection, ownerField, items, prepare, label) => {
+    (Array.isArray(items) ? items : []).forEach(item => {
+      if (!item || typeof item !== 'object' || !item.id) return;
+      const incoming = prepare({ ...item, [ownerField]: user.username });
+      if (typeof incoming === 'string') {
+        report.conflicts.push({ kind, id: item.id, title: label(item), reason: incoming });
+        return;
+      }
+      const existing = collection.get(item.id);
+      const own = existing && existing[ownerField] === user.username;
+      if (!existing) {
+        collection.insert(incoming);
+        report.created++;
+      } else if (own && sameContent(existing, incoming)) {
+        report.unchanged++;
+      } else if (own && onConflict === 'overwrite') {
+        collection.update({ ...incoming, createdAt: existing.createdAt });
+        report.updated++;
+      } else if (onConflict === 'copy' || (!own && onConflict === 'overwrite')) {
+        collection.insert({ ...incoming, id: uuidv4() });
+        report.created++;
+      } else {
+        report.conflicts.push({ kind, id: item.id, title: label(item), reason: own ? 'changed' : 'id in use' });
+      }
+    });
+  };
+  const now = new Date().toISOString();
+  const categories = db.categories.list();
+  db.transaction(() => {
+    merge('entry', db.entries, 'user', manifest.entries, (entry) => {
+      if (!entry.generator || !entry.prompt) return 'invalid';
+      if (!categories.includes(entry.generator) && !report.missingCategories.includes(entry.generator)) {
+        report.missingCategories.push(entry.generator);
+      }
+      const imported = {
+        id: entry.id,
+        user: entry.user,
+        generator: entry.generator,
+        prompt: entry.prompt,
+        tags: Array.isArray(entry.tags) ? entry.tags : [],
+        // Values are kept as exported; the schema may differ on this server
+        params: entry.params && typeof entry.params === 'object' ? entry.params : {},
+        done: !!entry.done,
+        isTemplate: !!entry.isTemplate,
+        createdAt: entry.createdAt || now,
+        updatedAt: entry.updatedAt || now
+      };
+      // Archives made before multi-image entries only have `image`
+      setEntryImages(imported, (Array.isArray(entry.images) ? entry.images : [entry.image]).map(unpack), unpack(entry.image));
+      return imported;
+    }, entry => entry.prompt);
+    merge('story', db.stories, 'user', manifest.stories, (story) => {
+      if (!story.name) return 'invalid';
+      return {
+        id: story.id,
+        user: story.user,
+        name: story.name,
+        scenario: story.scenario || '',
+        color: story.color || '#5a5ce6',
+        scenes: (Array.isArray(story.scenes) ? story.scenes : [])
+          .map(scene => normalizeScene({ ...scene, image: unpack(scene.image) })),
+        createdAt: story.createdAt || now,
+        updatedAt: story.updatedAt || now
+      };
+    }, story => story.name);
+    merge('material', db.materials, 'owner', manifest.materials, (material) => {
+      if (validateMaterial(material, false)) return 'invalid';
+      return {
+        id: material.id,
+        owner: material.owner,
+        title: material.title,
+        type: material.type || 'link',
+        url: material.url,
+        tags: Array.isArray(material.tags) ? material.tags : [],
+        visibility: material.visibility || 'personal',
+        createdAt: material.createdAt || now,
+        updatedAt: material.updatedAt || now
+      };
+    }, material => material.title);
+    // Categories are shared, so only admins create the missing ones
+    (Array.isArray(manifest.categories) ? manifest.categories : []).forEach(name => {
+      if (typeof name === 'string' && name && !categories.includes(name) && !report.missingCategories.includes(name)) {
+        report.missingCategories.push(name);
+      }
+    });
+    if (user.role === 'admin') {
+      report.missingCategories.forEach(name => db.categories.add(name));
+      report.createdCategories = report.missingCategories;
+      report.missingCategories = [];
+    }
+  });
+  return report;
+}
+// Download the authenticated user's library as a ZIP archive
+app.get('/api/export', (req, res) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`prompt-library-${req.user.username}-${date}.zip`);
+  res.type('application/zip').send(exportLibrary(req.user.username));
+});
+// Import an export archive: multipart/form-data with field "archive" and optional
+// onConflict ('skip' | 'overwrite' | 'copy'); returns the merge report
+app.post('/api/import', (req, res, next) => {
+  archiveUpload.single('archive')(req, res, (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? 'Archive too large' : err.message });
+    }
+    if (!req.file) return res.status(400).json({ error: 'ZIP archive required' });
+    let zip;
+    let manifest;
+    try {
+      zip = new AdmZip(req.file.buffer);
+      const tooLarge = checkArchiveLimits(zip);
+      if (tooLarge) return res.status(413).json({ error: tooLarge });
+      manifest = JSON.parse(zip.readAsText('manifest.json'));
+    } catch (e) {
+      return res.status(400).json({ error: 'Not a valid export archive' });
+    }
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+      return res.status(400).json({ error: 'Not a valid export archive' });
+    }
+    if (manifest.version > ARCHIVE_VERSION) {
+      return res.status(400).json({ error: 'Archive was made by a newer version' });
+    }
+    const onConflict = ['overwrite', 'copy'].includes(req.body.onConflict) ? req.body.onConflict : 'skip';
+    try {
+      res.json(importLibrary(req.user, manifest, zip, onConflict));
+    } catch (e) {
+      next(e);
+    }
+  });
+});
+
+// Errors thrown by route handlers (e.g. rejected images) are reported as JSON
+app.use('/api', (err, req, res, next) => {
+  if (!err.status) console.error(err);
+  res.status(err.status || 500).json({ error: err.status ? err.message : 'Internal server error' });
+});
+
 // Default route
 app.get('*', (req, res) => {
-  res.sendFile(require('path').join(__dirname, 'public', 'index.html'));
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
 const PORT = process.env.PORT || 3000;
@@ -0,0 +1,527 @@
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+/*
+ * SQLite storage for AI Prompt Storage.
+ * Every table is exposed as a small collection (get/where/insert/update/remove) that maps
+ * rows to the plain objects used by server.js. Schema changes go into MIGRATIONS; the
+ * applied version is kept in SQLite's `user_version` pragma.
+ * backup()/restore() copy the whole database to and from snapshot files.
+ */
+
+const DEFAULT_CATEGORIES = ['MidJourney', 'Sora', 'Leonardo AI', 'VEO3', 'Other'];
+// Parameter schemas of the default categories. `syntax` says how values are appended to the
+// prompt: 'flags' adds "<flag> <value>" (MidJourney), 'labels' adds "<flag>: <value>" lines.
+const DEFAULT_SCHEMAS = {
+  MidJourney: {
+    syntax: 'flags',
+    fields: [
+      { key: 'ar', label: 'Співвідношення сторін', type: 'text', flag: '--ar', placeholder: '16:9' },
+      { key: 'stylize', label: 'Stylize', type: 'number', flag: '--stylize', min: 0, max: 1000 },
+      { key: 'chaos', label: 'Chaos', type: 'number', flag: '--chaos', min: 0, max: 100 },
+      { key: 'version', label: 'Версія', type: 'select', flag: '--v', options: ['7', '6.1', '6', '5.2'] },
+      { key: 'seed', label: 'Seed', type: 'number', flag: '--seed', min: 0, max: 4294967295 },
+      { key: 'no', label: 'Виключити (--no)', type: 'text', flag: '--no', placeholder: 'text, watermark' }
+    ]
+  },
+  'Leonardo AI': {
+    syntax: 'labels',
+    fields: [
+      { key: 'negativePrompt', label: 'Негативний промпт', type: 'textarea', flag: 'Negative prompt' },
+      { key: 'model', label: 'Модель', type: 'text', flag: 'Model', placeholder: 'Leonardo Phoenix' },
+      { key: 'ar', label: 'Співвідношення сторін', type: 'text', flag: 'Aspect ratio', placeholder: '16:9' },
+      { key: 'seed', label: 'Seed', type: 'number', flag: 'Seed', min: 0 }
+    ]
+  },
+  Sora: {
+    syntax: 'labels',
+    fields: [
+      { key: 'ar', label: 'Співвідношення сторін', type: 'select', flag: 'Aspect ratio', options: ['16:9', '1:1', '9:16'] },
+      { key: 'duration', label: 'Тривалість (сек)', type: 'number', flag: 'Duration', min: 1, max: 60 },
+      { key: 'resolution', label: 'Роздільність', type: 'select', flag: 'Resolution', options: ['480p', '720p', '1080p'] }
+    ]
+  },
+  VEO3: {
+    syntax: 'labels',
+    fields: [
+      { key: 'ar', label: 'Співвідношення сторін', type: 'select', flag: 'Aspect ratio', options: ['16:9', '9:16'] },
+      { key: 'negativePrompt', label: 'Негативний промпт', type: 'textarea', flag: 'Negative prompt' },
+      { key: 'seed', label: 'Seed', type: 'number', flag: 'Seed', min: 0 }
+    ]
+  }
+};
+
+// Ordered schema migrations. Never edit an applied migration; append a new one instead.
+const MIGRATIONS = [
+  // 1: initial schema
+  (db) => {
+    db.exec(`
+      CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+      CREATE TABLE users (
+        username TEXT PRIMARY KEY,
+        password_hash TEXT,
+        legacy_password TEXT,
+        role TEXT NOT NULL DEFAULT 'user',
+        disabled INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+        expires_at INTEGER NOT NULL
+      );
+      CREATE TABLE categories (
+        name TEXT PRIMARY KEY,
+        position INTEGER NOT NULL
+      );
+      CREATE TABLE entries (
+        id TEXT PRIMARY KEY,
+        user TEXT NOT NULL,
+        generator TEXT NOT NULL,
+        prompt TEXT NOT NULL,
+        image TEXT,
+        thumbnail TEXT,
+        tags TEXT NOT NULL DEFAULT '[]',
+        done INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT,
+        updated_at TEXT
+      );
+      CREATE INDEX entries_user ON entries(user);
+      CREATE TABLE stories (
+        id TEXT PRIMARY KEY,
+        user TEXT NOT NULL,
+        name TEXT NOT NULL,
+        scenario TEXT NOT NULL DEFAULT '',
+        color TEXT,
+        scenes TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT,
+        updated_at TEXT
+      );
+      CREATE INDEX stories_user ON stories(user);
+      CREATE TABLE materials (
+        id TEXT PRIMARY KEY,
+        owner TEXT NOT NULL,
+        title TEXT NOT NULL,
+        type TEXT NOT NULL,
+        url TEXT NOT NULL,
+        tags TEXT NOT NULL DEFAULT '[]',
+        visibility TEXT NOT NULL DEFAULT 'personal',
+        created_at TEXT,
+        updated_at TEXT
+      );
+      CREATE INDEX materials_owner ON materials(owner);
+    `);
+    const insert = db.prepare('INSERT INTO categories (name, position) VALUES (?, ?)');
+    DEFAULT_CATEGORIES.forEach((name, i) => insert.run(name, i));
+  },
+  // 2: entries hold an ordered list of result images; `image`/`thumbnail` stay as the cover
+  (db) => {
+    db.exec(`
+      ALTER TABLE entries ADD COLUMN images TEXT NOT NULL DEFAULT '[]';
+      UPDATE entries SET images = CASE
+        WHEN thumbnail IS NULL THEN json_array(json_object('url', image))
+        ELSE json_array(json_object('url', image, 'thumbnail', thumbnail))
+      END
+      WHERE image IS NOT NULL AND image != '';
+    `);
+  },
+  // 3: earlier versions of an entry, saved whenever its content is edited
+  (db) => {
+    db.exec(`
+      CREATE TABLE entry_revisions (
+        id TEXT PRIMARY KEY,
+        entry_id TEXT NOT NULL REFERENCES entries(id) ON DELETE CASCADE,
+        generator TEXT NOT NULL,
+        prompt TEXT NOT NULL,
+        image TEXT,
+        thumbnail TEXT,
+        images TEXT NOT NULL DEFAULT '[]',
+        tags TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT
+      );
+      CREATE INDEX entry_revisions_entry ON entry_revisions(entry_id);
+    `);
+  },
+  // 4: per-category parameter schemas and the parameter values of entries (and revisions)
+  (db) => {
+    db.exec(`
+      ALTER TABLE categories ADD COLUMN schema TEXT;
+      ALTER TABLE entries ADD COLUMN params TEXT NOT NULL DEFAULT '{}';
+      ALTER TABLE entry_revisions ADD COLUMN params TEXT NOT NULL DEFAULT '{}';
+    `);
+    const setSchema = db.prepare('UPDATE categories SET schema = ? WHERE name = ?');
+    Object.entries(DEFAULT_SCHEMAS).forEach(([name, schema]) => setSchema.run(JSON.stringify(schema), name));
+  },
+  // 5: entries can be templates with {variable} placeholders
+  (db) => {
+    db.exec('ALTER TABLE entries ADD COLUMN is_template INTEGER NOT NULL DEFAULT 0');
+  },
+  // 6: indexes for the sort orders of the paginated entry list
+  (db) => {
+    db.exec(`
+      CREATE INDEX entries_user_created ON entries(user, created_at, id);
+      CREATE INDEX entries_user_updated ON entries(user, updated_at, id);
+    `);
+  },
+  // 7: saved searches (smart collections): a category plus a query, per user
+  (db) => {
+    db.exec(`
+      CREATE TABLE saved_searches (
+        id TEXT PRIMARY KEY,
+        user TEXT NOT NULL,
+        name TEXT NOT NULL,
+        category TEXT,
+        query TEXT NOT NULL DEFAULT '',
+        created_at TEXT,
+        updated_at TEXT
+      );
+      CREATE INDEX saved_searches_user ON saved_searches(user);
+    `);
+  },
+  // 8: boards, hand-picked and ordered sets of entries; an entry can be on several boards
+  (db) => {
+    db.exec(`
+      CREATE TABLE boards (
+        id TEXT PRIMARY KEY,
+        user TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        created_at TEXT,
+        updated_at TEXT
+      );
+      CREATE INDEX boards_user ON boards(user);
+      CREATE TABLE board_entries (
+        board_id TEXT NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+        entry_id TEXT NOT NULL REFERENCES entries(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (board_id, entry_id)
+      );
+      CREATE INDEX board_entries_entry ON board_entries(entry_id);
+    `);
+  },
+  // 9: entries from before timestamps existed get them, so cursor paging does not skip them
+  (db) => backfillEntryTimestamps(db),
+  // 10: changed_at records every write to an entry, including bulk ones such as category
+  // renames and startup migrations, for the incremental sync of clients. It is kept by
+  // triggers and is not a collection field.
+  (db) => {
+    db.exec(`
+      ALTER TABLE entries ADD COLUMN changed_at TEXT;
+      UPDATE entries SET changed_at = updated_at;
+      CREATE INDEX entries_user_changed ON entries(user, changed_at);
+      CREATE TRIGGER entries_inserted AFTER INSERT ON entries BEGIN
+        UPDATE entries SET changed_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE rowid = NEW.rowid;
+      END;
+      CREATE TRIGGER entries_updated AFTER UPDATE ON entries BEGIN
+        UPDATE entries SET changed_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE rowid = NEW.rowid;
+      END;
+    `);
+  }
+];
+
+// Give entries without created_at a timestamp: one millisecond apart in rowid order, ending
+// just before the oldest dated entry (or now), so they page as the oldest entries in the
+// order they were added. updated_at falls back to created_at.
+function backfillEntryTimestamps(db) {
+  const undated = db.prepare("SELECT rowid FROM entries WHERE created_at IS NULL OR created_at = '' ORDER BY rowid").pluck().all();
+  const oldest = Date.parse(db.prepare("SELECT MIN(created_at) FROM entries WHERE created_at <> ''").pluck().get());
+  const base = (Number.isFinite(oldest) ? oldest : Date.now()) - undated.length;
+  const setCreated = db.prepare('UPDATE entries SET created_at = ? WHERE rowid = ?');
+  undated.forEach((rowid, i) => setCreated.run(new Date(base + i).toISOString(), rowid));
+  db.exec("UPDATE entries SET updated_at = created_at WHERE updated_at IS NULL OR updated_at = ''");
+}
+
+// Column codecs: how a JS value is stored and read back
+const CODECS = {
+  text: { encode: v => (v === undefined ? null : v), decode: v => (v === null ? undefined : v) },
+  int: { encode: v => (v === undefined ? null : v), decode: v => (v === null ? undefined : v) },
+  bool: { encode: v => (v ? 1 : 0), decode: v => !!v },
+  json: { encode: v => JSON.stringify(v === undefined ? null : v), decode: v => (v === null ? undefined : JSON.parse(v)) }
+};
+
+// Build a collection over `table`. `fields` maps object fields to [column, codec];
+// the first field is the primary key.
+function collection(db, table, fields) {
+  const specs = Object.entries(fields).map(([field, [column, codec]]) => ({ field, column, codec: CODECS[codec] }));
+  const key = specs[0];
+  const columns = specs.map(s => s.column);
+  const toRow = (obj) => {
+    const row = {};
+    specs.forEach(s => { row[s.column] = s.codec.encode(obj[s.field]); });
+    return row;
+  };
+  const fromRow = (row) => {
+    if (!row) return undefined;
+    const obj = {};
+    specs.forEach(s => {
+      const value = s.codec.decode(row[s.column]);
+      if (value !== undefined) obj[s.field] = value;
+    });
+    return obj;
+  };
+  const getStmt = db.prepare(`SELECT * FROM ${table} WHERE ${key.column} = ?`);
+  const insertStmt = db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => '@' + c).join(', ')})`);
+  const updateStmt = db.prepare(`UPDATE ${table} SET ${columns.slice(1).map(c => `${c} = @${c}`).join(', ')} WHERE ${key.column} = @${key.column}`);
+  const removeStmt = db.prepare(`DELETE FROM ${table} WHERE ${key.column} = ?`);
+  // Ad-hoc queries are prepared once per distinct SQL string
+  const statements = new Map();
+  const prepared = (sql) => {
+    if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+    return statements.get(sql);
+  };
+  return {
+    get: (id) => fromRow(getStmt.get(id)),
+    // Rows matching an SQL condition, e.g. where('user = ? ORDER BY created_at', name)
+    where: (condition, ...params) => prepared(`SELECT * FROM ${table} WHERE ${condition}`).all(...params).map(fromRow),
+    // Like where(), but rows are read lazily, so callers can stop early
+    iterate: function* (condition, ...params) {
+      for (const row of prepared(`SELECT * FROM ${table} WHERE ${condition}`).iterate(...params)) yield fromRow(row);
+    },
+    all: () => prepared(`SELECT * FROM ${table}`).all().map(fromRow),
+    count: (condition = '1', ...params) => prepared(`SELECT COUNT(*) AS n FROM ${table} WHERE ${condition}`).get(...params).n,
+    insert: (obj) => { insertStmt.run(toRow(obj)); return obj; },
+    update: (obj) => { updateStmt.run(toRow(obj)); return obj; },
+    remove: (id) => removeStmt.run(id).changes > 0,
+    // Raw statement for bulk updates that do not fit the helpers above
+    run: (sql, ...params) => prepared(sql).run(...params)
+  };
+}
+
+// Open (and migrate) the database at `file`. Returns the storage API used by server.js.
+function open(file) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  const version = db.pragma('user_version', { simple: true });
+  for (let v = version; v < MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      MIGRATIONS[v](db);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+
+  const users = collection(db, 'users', {
+    username: ['username', 'text'],
+    passwordHash: ['password_hash', 'text'],
+    password: ['legacy_password', 'text'],
+    role: ['role', 'text'],
+    disabled: ['disabled', 'bool']
+  });
+  const sessions = collection(db, 'sessions', {
+    id: ['id', 'text'],
+    username: ['username', 'text'],
+    expiresAt: ['expires_at', 'int']
+  });
+  const entries = collection(db, 'entries', {
+    id: ['id', 'text'],
+    user: ['user', 'text'],
+    generator: ['generator', 'text'],
+    prompt: ['prompt', 'text'],
+    image: ['image', 'text'],
+    thumbnail: ['thumbnail', 'text'],
+    images: ['images', 'json'],
+    tags: ['tags', 'json'],
+    params: ['params', 'json'],
+    done: ['done', 'bool'],
+    isTemplate: ['is_template', 'bool'],
+    createdAt: ['created_at', 'text'],
+    updatedAt: ['updated_at', 'text']
+  });
+  // All entry ids of a user, so clients syncing changes can drop entries deleted elsewhere
+  entries.ids = (user) => db.prepare('SELECT id FROM entries WHERE user = ? ORDER BY rowid').pluck().all(user);
+  const revisions = collection(db, 'entry_revisions', {
+    id: ['id', 'text'],
+    entryId: ['entry_id', 'text'],
+    generator: ['generator', 'text'],
+    prompt: ['prompt', 'text'],
+    image: ['image', 'text'],
+    thumbnail: ['thumbnail', 'text'],
+    images: ['images', 'json'],
+    tags: ['tags', 'json'],
+    params: ['params', 'json'],
+    createdAt: ['created_at', 'text']
+  });
+  const stories = collection(db, 'stories', {
+    id: ['id', 'text'],
+    user: ['user', 'text'],
+    name: ['name', 'text'],
+    scenario: ['scenario', 'text'],
+    color: ['color', 'text'],
+    scenes: ['scenes', 'json'],
+    createdAt: ['created_at', 'text'],
+    updatedAt: ['updated_at', 'text']
+  });
+  const savedSearches = collection(db, 'saved_searches', {
+    id: ['id', 'text'],
+    user: ['user', 'text'],
+    name: ['name', 'text'],
+    category: ['category', 'text'],
+    query: ['query', 'text'],
+    createdAt: ['created_at', 'text'],
+    updatedAt: ['updated_at', 'text']
+  });
+  const boards = collection(db, 'boards', {
+    id: ['id', 'text'],
+    user: ['user', 'text'],
+    name: ['name', 'text'],
+    description: ['description', 'text'],
+    createdAt: ['created_at', 'text'],
+    updatedAt: ['updated_at', 'text']
+  });
+  // Which entries are on a board, in board order
+  const boardEntries = {
+    list: (boardId) => db.prepare('SELECT entry_id FROM board_entries WHERE board_id = ? ORDER BY position').pluck().all(boardId),
+    // Replace the entries of a board with `entryIds`, in that order
+    set: db.transaction((boardId, entryIds) => {
+      db.prepare('DELETE FROM board_entries WHERE board_id = ?').run(boardId);
+      const insert = db.prepare('INSERT INTO board_entries (board_id, entry_id, position) VALUES (?, ?, ?)');
+      entryIds.forEach((entryId, i) => insert.run(boardId, entryId, i));
+    }),
+    // Append an entry to a board; returns false if it is already there
+    add: (boardId, entryId) => db.prepare(`INSERT OR IGNORE INTO board_entries (board_id, entry_id, position)
+      SELECT ?, ?, COALESCE(MAX(position), -1) + 1 FROM board_entries WHERE board_id = ?`).run(boardId, entryId, boardId).changes > 0,
+    remove: (boardId, entryId) => db.prepare('DELETE FROM board_entries WHERE board_id = ? AND entry_id = ?').run(boardId, entryId).changes > 0
+  };
+  const materials = collection(db, 'materials', {
+    id: ['id', 'text'],
+    owner: ['owner', 'text'],
+    title: ['title', 'text'],
+    type: ['type', 'text'],
+    url: ['url', 'text'],
+    tags: ['tags', 'json'],
+    visibility: ['visibility', 'text'],
+    createdAt: ['created_at', 'text'],
+    updatedAt: ['updated_at', 'text']
+  });
+
+  // Categories are an ordered list of names; each may carry a parameter schema
+  const categories = {
+    list: () => db.prepare('SELECT name FROM categories ORDER BY position').pluck().all(),
+    // { name: schema } for every category that has one
+    schemas: () => Object.fromEntries(db.prepare('SELECT name, schema FROM categories WHERE schema IS NOT NULL ORDER BY position').all()
+      .map(row => [row.name, JSON.parse(row.schema)])),
+    setSchema: (name, schema) => {
+      db.prepare('UPDATE categories SET schema = ? WHERE name = ?').run(schema ? JSON.stringify(schema) : null, name);
+    },
+    add: (name) => {
+      const next = db.prepare('SELECT COALESCE(MAX(position), -1) + 1 FROM categories').pluck().get();
+      db.prepare('INSERT INTO categories (name, position) VALUES (?, ?)').run(name, next);
+    },
+    // Rename a category and move its entries (and their revisions and saved searches) along
+    rename: db.transaction((oldName, newName) => {
+      db.prepare('UPDATE categories SET name = ? WHERE name = ?').run(newName, oldName);
+      db.prepare('UPDATE entries SET generator = ? WHERE generator = ?').run(newName, oldName);
+      db.prepare('UPDATE entry_revisions SET generator = ? WHERE generator = ?').run(newName, oldName);
+      db.prepare('UPDATE saved_searches SET category = ? WHERE category = ?').run(newName, oldName);
+    }),
+    // Remove a category; its entries (and their revisions and saved searches) move to `fallback`
+    remove: db.transaction((name, fallback) => {
+      db.prepare('DELETE FROM categories WHERE name = ?').run(name);
+      db.prepare('UPDATE entries SET generator = ? WHERE generator = ?').run(fallback, name);
+      db.prepare('UPDATE entry_revisions SET generator = ? WHERE generator = ?').run(fallback, name);
+      db.prepare('UPDATE saved_searches SET category = ? WHERE category = ?').run(fallback, name);
+    })
+  };
+
+  const settings = {
+    get: (key) => db.prepare('SELECT value FROM settings WHERE key = ?').pluck().get(key),
+    set: (key, value) => db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value').run(key, value)
+  };
+
+  return {
+    sqlite: db,
+    users,
+    sessions,
+    entries,
+    revisions,
+    stories,
+    savedSearches,
+    boards,
+    boardEntries,
+    materials,
+    categories,
+    settings,
+    // Run `fn` atomically; nested calls join the outer transaction
+    transaction: (fn) => db.transaction(fn)(),
+    // Write a consistent snapshot to `destFile`. The copy is made under a temporary name and
+    // renamed into place, so a crash never leaves a half-written snapshot behind.
+    backup: async (destFile) => {
+      const tmpFile = `${destFile}.tmp`;
+      await db.backup(tmpFile);
+      fs.renameSync(tmpFile, destFile);
+    },
+    // Replace all data with the contents of snapshot `file`, in one transaction.
+    // Sessions are kept so whoever restores stays logged in (unless their user is gone).
+    restore: (file) => restore(db, file),
+    close: () => db.close()
+  };
+}
+
+function restore(db, file) {
+  // Bring a copy of the snapshot up to the current schema first
+  const tmpFile = `${file}.restore.tmp`;
+  fs.copyFileSync(file, tmpFile);
+  try {
+    const snapshot = open(tmpFile);
+    snapshot.sqlite.pragma('journal_mode = DELETE');
+    snapshot.close();
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'sessions'").pluck().all();
+    db.pragma('foreign_keys = OFF');
+    db.prepare('ATTACH DATABASE ? AS snapshot').run(tmpFile);
+    try {
+      db.transaction(() => {
+        tables.forEach(table => {
+          const columns = db.prepare(`SELECT name FROM pragma_table_info('${table}')`).pluck().all().join(', ');
+          db.exec(`DELETE FROM main.${table}; INSERT INTO main.${table} (${columns}) SELECT ${columns} FROM snapshot.${table};`);
+        });
+        db.exec('DELETE FROM sessions WHERE username NOT IN (SELECT username FROM users)');
+      })();
+    } finally {
+      db.exec('DETACH DATABASE snapshot');
+      db.pragma('foreign_keys = ON');
+    }
+  } finally {
+    fs.rmSync(tmpFile, { force: true });
+  }
+}
+
+// One-time import of a legacy db.json into an opened store. Throws if the file cannot be
+// parsed, so a damaged file is never mistaken for an empty database. Returns false if
+// an import has already been done or the store already has users.
+function importJSON(storage, jsonFile) {
+  if (storage.settings.get('importedFrom') || storage.users.count()) return false;
+  const data = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+  storage.transaction(() => {
+    if (Array.isArray(data.categories) && data.categories.length) {
+      storage.sqlite.prepare('DELETE FROM categories').run();
+      data.categories.forEach(name => storage.categories.add(name));
+    }
+    (data.users || []).forEach(u => storage.users.insert({
+      username: u.username,
+      passwordHash: u.passwordHash,
+      password: u.passwordHash ? undefined : u.password,
+      // Before roles existed the name 'admin' meant administrator
+      role: u.role || (u.username === 'admin' ? 'admin' : 'user'),
+      disabled: !!u.disabled
+    }));
+    const usernames = new Set((data.users || []).map(u => u.username));
+    (data.sessions || []).filter(s => usernames.has(s.username)).forEach(s => storage.sessions.insert(s));
+    (data.entries || []).forEach(e => storage.entries.insert({
+      ...e,
+      images: Array.isArray(e.images) ? e.images : (e.image ? [{ url: e.image, thumbnail: e.thumbnail }] : []),
+      tags: Array.isArray(e.tags) ? e.tags : [],
+      params: e.params || {}
+    }));
+    backfillEntryTimestamps(storage.sqlite);
+    (data.stories || []).forEach(s => storage.stories.insert({ ...s, scenes: Array.isArray(s.scenes) ? s.scenes : [] }));
+    (data.materials || []).forEach(m => storage.materials.insert({ ...m, tags: Array.isArray(m.tags) ? m.tags : [] }));
+    if (data.sessionSecret) storage.settings.set('sessionSecret', data.sessionSecret);
+    storage.settings.set('importedFrom', jsonFile);
+  });
+  return true;
+}
+
+module.exports = { open, importJSON, DEFAULT_CATEGORIES, DEFAULT_SCHEMAS };